@@ -0,0 +1,103 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Order = require('../models/Order');
+const { csvLine } = require('../csv');
+
+/**
+ * Flat exports of orders for spreadsheets and data tools. Orders are read through a
+ * Mongo cursor and written row by row, so an export of months of data never holds more
+ * than one batch in memory. Rows are the same for CSV and NDJSON; CSV gets a header line.
+ */
+
+const round2 = (n) => (n == null ? null : Math.round(n * 100) / 100);
+const iso = (d) => (d ? new Date(d).toISOString() : null);
+
+// One row per order
+const ORDER_COLUMNS = [
+  ['orderId', (o) => String(o._id)],
+  ['invoiceNumber', (o) => o.invoiceNumber],
+  ['outletId', (o) => (o.outletId ? String(o.outletId) : null)],
+  ['createdAt', (o) => iso(o.createdAt)],
+  ['status', (o) => o.status],
+  ['customerName', (o) => o.customerName],
+  ['userId', (o) => (o.userId ? String(o.userId) : null)],
+  ['paymentMethod', (o) => o.paymentMethod],
+  ['paymentStatus', (o) => o.paymentStatus],
+  ['itemCount', (o) => o.items.reduce((sum, i) => sum + i.quantity, 0)],
+  ['subtotal', (o) => round2(o.subtotal ?? o.items.reduce((sum, i) => sum + i.price * i.quantity, 0))],
+  ['couponCode', (o) => o.discount?.code ?? null],
+  ['discount', (o) => round2(o.discount?.amount ?? 0)],
+  ['taxTotal', (o) => round2(o.taxTotal ?? 0)],
+  ['serviceCharge', (o) => round2(o.serviceCharge ?? 0)],
+  ['roundOff', (o) => round2(o.roundOff ?? 0)],
+  ['totalAmount', (o) => round2(o.totalAmount)],
+  ['pickupSlotStart', (o) => iso(o.pickupSlot?.start)],
+];
+
+// One row per order line, with the order fields needed to group or join it
+const ITEM_COLUMNS = [
+  ['orderId', (o) => String(o._id)],
+  ['invoiceNumber', (o) => o.invoiceNumber],
+  ['outletId', (o) => (o.outletId ? String(o.outletId) : null)],
+  ['createdAt', (o) => iso(o.createdAt)],
+  ['status', (o) => o.status],
+  ['customerName', (o) => o.customerName],
+  ['userId', (o) => (o.userId ? String(o.userId) : null)],
+  ['menuItemId', (_o, i) => String(i.menuItemId)],
+  ['name', (_o, i) => i.name],
+  ['category', (_o, i) => i.category],
+  ['modifiers', (_o, i) => (i.modifiers || []).map((m) => `${m.group}: ${m.option}`).join('; ')],
+  ['quantity', (_o, i) => i.quantity],
+  ['unitPrice', (_o, i) => round2(i.price)],
+  ['basePrice', (_o, i) => round2(i.basePrice)],
+  ['lineTotal', (_o, i) => round2(i.price * i.quantity)],
+];
+
+const EXPORTS = {
+  orders: { columns: ORDER_COLUMNS, rowsOf: (order) => [[order]] },
+  items: { columns: ITEM_COLUMNS, rowsOf: (order) => order.items.map((item) => [order, item]) },
+};
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+async function* serialize(cursor, { kind, format }) {
+  const { columns, rowsOf } = EXPORTS[kind];
+  if (format === 'csv') yield csvLine(columns.map(([name]) => name));
+
+  for await (const order of cursor) {
+    let chunk = '';
+    for (const [o, item] of rowsOf(order)) {
+      const values = columns.map(([, get]) => get(o, item) ?? null);
+      chunk += format === 'csv'
+        ? csvLine(values)
+        : `${JSON.stringify(Object.fromEntries(columns.map(([name], i) => [name, values[i]])))}\n`;
+    }
+    if (chunk) yield chunk;
+  }
+}
+
+/**
+ * Streams the orders matching `filter` (oldest first) to the response as `format` ('csv' | 'ndjson').
+ * kind: 'orders' (one row per order) or 'items' (one row per order line).
+ * If the client goes away mid-export the cursor is closed and the rest is skipped.
+ */
+const streamOrderExport = async (res, filter, { kind = 'orders', format = 'csv', filename = 'orders' }) => {
+  const { contentType, extension } = FORMATS[format];
+  const cursor = Order.find(filter).sort({ createdAt: 1, _id: 1 }).lean().cursor({ batchSize: 500 });
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  try {
+    await pipeline(Readable.from(serialize(cursor, { kind, format })), res);
+  } catch (err) {
+    // Headers (and likely rows) are already out, so there is no JSON error to send — just stop
+    await cursor.close().catch(() => {});
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Order export failed:', err.message);
+  }
+};
+
+module.exports = { EXPORT_KINDS: Object.keys(EXPORTS), EXPORT_FORMATS: Object.keys(FORMATS), streamOrderExport };
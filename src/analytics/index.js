@@ -0,0 +1,225 @@
+const Order = require('../models/Order');
+const { defaultQuantityFactor } = require('../queue/estimator');
+
+/**
+ * Reporting aggregations over orders. Every report takes the same base $match
+ * ({ createdAt range, outletId? }) and a timezone for day/hour bucketing, and runs
+ * entirely inside MongoDB.
+ *
+ * "Sales" are orders that went through: not cancelled and not stuck awaiting payment.
+ */
+
+const NOT_SOLD = ['cancelled', 'awaiting_payment'];
+const soldMatch = { status: { $nin: NOT_SOLD } };
+
+const round2 = { $round: [{ $ifNull: ['$$value', 0] }, 2] };
+const money = (expr) => ({ $let: { vars: { value: expr }, in: round2 } });
+
+// First time the order entered `status`, from its statusHistory
+const enteredAt = (status) => ({
+  $let: {
+    vars: { entry: { $first: { $filter: { input: '$statusHistory', cond: { $eq: ['$$this.status', status] } } } } },
+    in: '$$entry.at',
+  },
+});
+
+// Order-level prep estimate, same formula as src/queue/estimator.js (max over items, quantity-scaled)
+const estimatedPrepMinutes = (quantityFactor) => ({
+  $max: {
+    $map: {
+      input: '$items',
+      as: 'i',
+      in: {
+        $multiply: [
+          { $ifNull: ['$$i.timeTaken', 0] },
+          { $add: [1, { $multiply: [{ $subtract: ['$$i.quantity', 1] }, quantityFactor] }] },
+        ],
+      },
+    },
+  },
+});
+
+const minutesBetween = (start, end) => ({ $divide: [{ $subtract: [end, start] }, 60000] });
+
+// Totals: revenue, order count, average order value, discounts, tax and cancellation rate
+const summary = async (match) => {
+  const [row] = await Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        placed: { $sum: { $cond: [{ $eq: ['$status', 'awaiting_payment'] }, 0, 1] } },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        orders: { $sum: { $cond: [{ $in: ['$status', NOT_SOLD] }, 0, 1] } },
+        revenue: { $sum: { $cond: [{ $in: ['$status', NOT_SOLD] }, 0, '$totalAmount'] } },
+        discounts: { $sum: { $cond: [{ $in: ['$status', NOT_SOLD] }, 0, { $ifNull: ['$discount.amount', 0] }] } },
+        tax: { $sum: { $cond: [{ $in: ['$status', NOT_SOLD] }, 0, { $ifNull: ['$taxTotal', 0] }] } },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        orders: 1,
+        revenue: money('$revenue'),
+        averageOrderValue: money({ $cond: [{ $gt: ['$orders', 0] }, { $divide: ['$revenue', '$orders'] }, 0] }),
+        discounts: money('$discounts'),
+        tax: money('$tax'),
+        cancelled: 1,
+        // Share of orders that reached the kitchen or the payment step and were then cancelled
+        cancellationRate: { $round: [{ $cond: [{ $gt: ['$placed', 0] }, { $divide: ['$cancelled', '$placed'] }, 0] }, 4] },
+      },
+    },
+  ]);
+  return row || { orders: 0, revenue: 0, averageOrderValue: 0, discounts: 0, tax: 0, cancelled: 0, cancellationRate: 0 };
+};
+
+// Revenue and order counts bucketed by local day ("2025-01-15") or hour ("2025-01-15 13:00")
+const salesSeries = (match, { interval = 'day', timezone }) =>
+  Order.aggregate([
+    { $match: { ...match, ...soldMatch } },
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            date: '$createdAt',
+            format: interval === 'hour' ? '%Y-%m-%d %H:00' : '%Y-%m-%d',
+            timezone,
+          },
+        },
+        orders: { $sum: 1 },
+        revenue: { $sum: '$totalAmount' },
+      },
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id',
+        orders: 1,
+        revenue: money('$revenue'),
+        averageOrderValue: money({ $divide: ['$revenue', '$orders'] }),
+      },
+    },
+  ]);
+
+// Best sellers by quantity — per menu item, or per category with by: 'category'
+const topSellers = (match, { by = 'item', limit = 10 }) =>
+  Order.aggregate([
+    { $match: { ...match, ...soldMatch } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: by === 'category' ? { $ifNull: ['$items.category', 'Uncategorized'] } : '$items.menuItemId',
+        name: { $last: '$items.name' },
+        quantity: { $sum: '$items.quantity' },
+        revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
+        orders: { $addToSet: '$_id' },
+      },
+    },
+    { $sort: { quantity: -1, revenue: -1 } },
+    { $limit: limit },
+    {
+      $project: by === 'category'
+        ? { _id: 0, category: '$_id', quantity: 1, revenue: money('$revenue'), orders: { $size: '$orders' } }
+        : { _id: 0, menuItemId: '$_id', name: 1, quantity: 1, revenue: money('$revenue'), orders: { $size: '$orders' } },
+    },
+  ]);
+
+// Orders and revenue by local hour of day (0–23), busiest first
+const peakHours = (match, { timezone }) =>
+  Order.aggregate([
+    { $match: { ...match, ...soldMatch } },
+    {
+      $group: {
+        _id: { $hour: { date: '$createdAt', timezone } },
+        orders: { $sum: 1 },
+        revenue: { $sum: '$totalAmount' },
+        days: { $addToSet: { $dateToString: { date: '$createdAt', format: '%Y-%m-%d', timezone } } },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        hour: '$_id',
+        orders: 1,
+        revenue: money('$revenue'),
+        // Average over the days that had any orders in this hour
+        averageOrdersPerDay: { $round: [{ $divide: ['$orders', { $size: '$days' }] }, 2] },
+      },
+    },
+    { $sort: { orders: -1, hour: 1 } },
+  ]);
+
+/**
+ * Actual vs estimated prep time for orders that reached 'ready'. Actual = first 'preparing' →
+ * first 'ready' in statusHistory; queue wait = placed → 'preparing'. Estimated uses the item
+ * timeTaken snapshots. Returns { overall, byDay }.
+ */
+const prepTimes = async (match, { timezone, quantityFactor = defaultQuantityFactor() }) => {
+  const [result] = await Order.aggregate([
+    { $match: { ...match, 'statusHistory.status': { $all: ['preparing', 'ready'] } } },
+    {
+      $project: {
+        createdAt: 1,
+        preparingAt: enteredAt('preparing'),
+        readyAt: enteredAt('ready'),
+        estimated: estimatedPrepMinutes(quantityFactor),
+      },
+    },
+    {
+      $project: {
+        createdAt: 1,
+        estimated: 1,
+        actual: minutesBetween('$preparingAt', '$readyAt'),
+        queueWait: minutesBetween('$createdAt', '$preparingAt'),
+      },
+    },
+    { $match: { actual: { $gte: 0 } } },
+    {
+      $facet: {
+        overall: [
+          {
+            $group: {
+              _id: null,
+              orders: { $sum: 1 },
+              actual: { $avg: '$actual' },
+              estimated: { $avg: '$estimated' },
+              queueWait: { $avg: '$queueWait' },
+              late: { $sum: { $cond: [{ $gt: ['$actual', '$estimated'] }, 1, 0] } },
+            },
+          },
+        ],
+        byDay: [
+          {
+            $group: {
+              _id: { $dateToString: { date: '$createdAt', format: '%Y-%m-%d', timezone } },
+              orders: { $sum: 1 },
+              actual: { $avg: '$actual' },
+              estimated: { $avg: '$estimated' },
+              queueWait: { $avg: '$queueWait' },
+              late: { $sum: { $cond: [{ $gt: ['$actual', '$estimated'] }, 1, 0] } },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const shape = (row) => ({
+    ...(row._id ? { period: row._id } : {}),
+    orders: row.orders,
+    averageActualMinutes: Math.round(row.actual * 10) / 10,
+    averageEstimatedMinutes: Math.round(row.estimated * 10) / 10,
+    averageDifferenceMinutes: Math.round((row.actual - row.estimated) * 10) / 10,
+    averageQueueWaitMinutes: Math.round(row.queueWait * 10) / 10,
+    lateRate: Math.round((row.late / row.orders) * 10000) / 10000,
+  });
+
+  return {
+    overall: result.overall.length ? shape(result.overall[0]) : null,
+    byDay: result.byDay.map(shape),
+  };
+};
+
+module.exports = { summary, salesSeries, topSellers, peakHours, prepTimes };
@@ -7,12 +7,24 @@ const swaggerUi = require('swagger-ui-express');
 const connectDB = require('./config/db');
 const swaggerSpec = require('./swagger');
 const { initSocket } = require('./socket');
+const { startScheduler } = require('./queue/scheduler');
+const { getStorage } = require('./images');
+const { ensureDefaultRoles } = require('./permissions');
 
 const authRoutes = require('./routes/auth');
+const staffRoutes = require('./routes/staff');
+const roleRoutes = require('./routes/roles');
 const menuRoutes = require('./routes/menu');
+const categoryRoutes = require('./routes/categories');
 const orderRoutes = require('./routes/orders');
 const userRoutes = require('./routes/users');
 const cartRoutes = require('./routes/cart');
+const paymentRoutes = require('./routes/payments');
+const slotRoutes = require('./routes/slots');
+const outletRoutes = require('./routes/outlets');
+const couponRoutes = require('./routes/coupons');
+const taxRoutes = require('./routes/taxes');
+const analyticsRoutes = require('./routes/analytics');
 
 const app = express();
 const server = http.createServer(app);
@@ -50,10 +62,23 @@ app.get('/api-docs.json', (req, res) => {
 
 // Routes
 app.use('/api/auth', authRoutes);       // Admin auth
+app.use('/api/staff', staffRoutes);     // Staff accounts (staff:manage)
+app.use('/api/roles', roleRoutes);      // Staff roles and their permissions (staff:manage)
 app.use('/api/users', userRoutes);      // Customer auth + profile
 app.use('/api/menu', menuRoutes);       // Menu (public read, admin write)
+app.use('/api/categories', categoryRoutes); // Menu categories (public read, admin write)
 app.use('/api/orders', orderRoutes);    // Orders (public guest + user + admin)
 app.use('/api/cart', cartRoutes);       // Cart (user only)
+app.use('/api/payments', paymentRoutes); // Payment intents, verification, provider callbacks
+app.use('/api/slots', slotRoutes);      // Pickup slots for pre-orders (public read, admin write)
+app.use('/api/outlets', outletRoutes);  // Outlets/canteens (public read, org-wide admin write)
+app.use('/api/coupons', couponRoutes);  // Promo codes (coupons:write)
+app.use('/api/taxes', taxRoutes);       // Tax rules for checkout (taxes:write)
+app.use('/api/analytics', analyticsRoutes); // Sales and kitchen reports (reports:read)
+
+// Uploaded menu photos, when the storage backend keeps them on this server
+const imageStorage = getStorage();
+if (imageStorage.serve) app.use(imageStorage.mountPath, imageStorage.serve);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -73,9 +98,11 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 8080;
 
-connectDB().then(() => {
+connectDB().then(async () => {
+  await ensureDefaultRoles(); // built-in roles staff accounts start out with
   server.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
     console.log(`API Docs: http://localhost:${PORT}/api-docs`);
   });
+  startScheduler(); // releases scheduled pre-orders into the live queue and expires unpaid orders
 });
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+
+/**
+ * Time-based availability for menu items and categories.
+ *
+ * A schedule is a list of weekly windows ({ days, start, end } in the outlet's local time,
+ * days 0 = Sunday … 6 = Saturday) plus one-off blackout dates ("YYYY-MM-DD", local). No
+ * schedule, or one without windows, means all day; a blackout date closes the whole day.
+ * A window whose end is at or before its start runs past midnight (22:00–02:00).
+ * An item is orderable only while both its own and its category's schedule are open.
+ */
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const HHMM_END = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const LOOKAHEAD_DAYS = 14; // how far nextAvailableAt searches
+
+const windowSchema = new mongoose.Schema(
+  {
+    days: { type: [{ type: Number, min: 0, max: 6 }], default: ALL_DAYS },
+    start: { type: String, required: true, match: HHMM }, // "07:00"
+    end: { type: String, required: true, match: HHMM_END }, // "11:00"; "24:00" = end of day
+  },
+  { _id: false }
+);
+
+const availabilitySchema = new mongoose.Schema(
+  {
+    windows: { type: [windowSchema], default: [] },
+    blackoutDates: { type: [{ type: String, match: DATE_ONLY }], default: [] },
+  },
+  { _id: false }
+);
+
+// Request-body checks for an `availability` field (null clears the schedule)
+const availabilityValidators = [
+  body('availability').optional({ values: 'null' }).isObject().withMessage('availability must be an object or null'),
+  body('availability.windows').optional().isArray().withMessage('availability.windows must be an array'),
+  body('availability.windows.*.days').optional().isArray({ min: 1 }).withMessage('days must be a non-empty array'),
+  body('availability.windows.*.days.*').isInt({ min: 0, max: 6 }).withMessage('days entries must be 0 (Sunday) to 6 (Saturday)'),
+  body('availability.windows.*.start').matches(HHMM).withMessage('start must be HH:MM'),
+  body('availability.windows.*.end').matches(HHMM_END).withMessage('end must be HH:MM (24:00 for end of day)'),
+  body('availability.blackoutDates').optional().isArray().withMessage('availability.blackoutDates must be an array'),
+  body('availability.blackoutDates.*').matches(DATE_ONLY).withMessage('blackoutDates entries must be YYYY-MM-DD'),
+];
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// Whether `tz` is an IANA timezone Intl knows (e.g. "Asia/Kolkata")
+const validTimezone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Wall-clock fields of `date` in `timeZone`
+const localParts = (date, timeZone) => {
+  const p = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map(({ type, value }) => [type, value]));
+  const y = Number(p.year);
+  const mo = Number(p.month);
+  const d = Number(p.day);
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    day: new Date(Date.UTC(y, mo - 1, d)).getUTCDay(),
+    minutes: Number(p.hour) * 60 + Number(p.minute),
+    asUtc: Date.UTC(y, mo - 1, d, Number(p.hour), Number(p.minute), Number(p.second)),
+  };
+};
+
+// Today's (or `date`'s) YYYY-MM-DD in `timeZone`
+const localDate = (date, timeZone) => localParts(date, timeZone).date;
+
+// The instant at which the wall clock in `timeZone` shows `dateStr` + `minutes`
+const zonedTime = (dateStr, minutes, timeZone) => {
+  const [y, mo, d] = dateStr.split('-').map(Number);
+  const wall = Date.UTC(y, mo - 1, d, 0, minutes);
+  let t = wall;
+  for (let i = 0; i < 2; i++) t = wall - (localParts(new Date(t), timeZone).asUtc - t); // twice for DST edges
+  return new Date(t);
+};
+
+const addDays = (dateStr, n) => {
+  const [y, mo, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, mo - 1, d + n)).toISOString().slice(0, 10);
+};
+
+const inWindow = (w, day, minutes) => {
+  const start = toMinutes(w.start);
+  const end = toMinutes(w.end);
+  const days = w.days?.length ? w.days : ALL_DAYS;
+  if (end > start) return days.includes(day) && minutes >= start && minutes < end;
+  // Overnight: the evening part belongs to `day`, the early-morning part to the day before
+  return (days.includes(day) && minutes >= start) || (days.includes((day + 6) % 7) && minutes < end);
+};
+
+// Whether a single schedule is open at `date`
+const isOpenAt = (schedule, date, timeZone) => {
+  if (!schedule) return true;
+  const { date: localDate, day, minutes } = localParts(date, timeZone);
+  if (schedule.blackoutDates?.includes(localDate)) return false;
+  if (!schedule.windows?.length) return true;
+  return schedule.windows.some((w) => inWindow(w, day, minutes));
+};
+
+const allOpenAt = (schedules, date, timeZone) => schedules.every((s) => isOpenAt(s, date, timeZone));
+
+/**
+ * First moment after `from` when all `schedules` are open, or null if not within LOOKAHEAD_DAYS.
+ * Everything only ever opens at a local midnight or a window start, so those are the candidates.
+ */
+const nextOpenAt = (schedules, from, timeZone) => {
+  const today = localParts(from, timeZone).date;
+  const candidates = [];
+  for (let i = 0; i <= LOOKAHEAD_DAYS; i++) {
+    const date = addDays(today, i);
+    candidates.push(zonedTime(date, 0, timeZone));
+    for (const s of schedules) {
+      for (const w of s?.windows || []) candidates.push(zonedTime(date, toMinutes(w.start), timeZone));
+    }
+  }
+  return candidates
+    .filter((t) => t > from)
+    .sort((a, b) => a - b)
+    .find((t) => allOpenAt(schedules, t, timeZone)) || null;
+};
+
+/**
+ * Schedule state of a menu item at `at` (default now): { availableNow, nextAvailableAt }.
+ * category is the item's Category document (or null); nextAvailableAt is null while available.
+ */
+const itemAvailability = (item, category, timeZone, at = new Date()) => {
+  const schedules = [item.availability, category?.availability].filter(Boolean);
+  if (allOpenAt(schedules, at, timeZone)) return { availableNow: true, nextAvailableAt: null };
+  return { availableNow: false, nextAvailableAt: nextOpenAt(schedules, at, timeZone) };
+};
+
+// "2025-01-15 07:00" in the outlet's timezone, for customer-facing messages
+const formatLocal = (date, timeZone) => {
+  const p = localParts(date, timeZone);
+  const hh = String(Math.floor(p.minutes / 60)).padStart(2, '0');
+  const mm = String(p.minutes % 60).padStart(2, '0');
+  return `${p.date} ${hh}:${mm}`;
+};
+
+/**
+ * Customer-facing reason the item can't be ordered for `at` because of its schedule, or null.
+ * Pass the pickup slot start as `at` for pre-orders.
+ */
+const scheduleError = (item, category, timeZone, at = new Date(), { preOrder = false } = {}) => {
+  const { availableNow, nextAvailableAt } = itemAvailability(item, category, timeZone, at);
+  if (availableNow) return null;
+  const when = preOrder ? 'at your pickup time' : 'right now';
+  const next = nextAvailableAt ? ` It is next available from ${formatLocal(nextAvailableAt, timeZone)}.` : '';
+  return `"${item.name}" is not available ${when}.${next}`;
+};
+
+module.exports = {
+  availabilitySchema,
+  availabilityValidators,
+  isOpenAt,
+  itemAvailability,
+  scheduleError,
+  localDate,
+  zonedTime,
+  validTimezone,
+};
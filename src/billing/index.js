@@ -0,0 +1,187 @@
+const Order = require('../models/Order');
+const Outlet = require('../models/Outlet');
+const TaxRule = require('../models/TaxRule');
+const Counter = require('../models/Counter');
+const Coupon = require('../models/Coupon');
+
+/**
+ * Order totals and invoices.
+ *
+ * Pricing runs after the coupon: the discount is spread over the lines the coupon applies to in
+ * proportion to their value, each line is taxed by its TaxRules (inclusive rates are backed out of the price first,
+ * exclusive ones are added on top), the outlet's service charge is taken on the pre-tax amount,
+ * and the payable total is rounded per the outlet's roundingMode.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const ROUNDERS = {
+  none: (n) => n,
+  nearest: Math.round,
+  up: Math.ceil,
+  down: Math.floor,
+};
+
+// Rules for one line: item-specific rules win over category rules, which win over unrestricted ones
+const rulesFor = (line, rules) => {
+  const byItem = rules.filter((r) => r.menuItemIds.some((id) => id.toString() === line.menuItemId.toString()));
+  if (byItem.length) return byItem;
+  const byCategory = rules.filter((r) => r.categories.includes(line.category));
+  if (byCategory.length) return byCategory;
+  return rules.filter((r) => r.menuItemIds.length === 0 && r.categories.length === 0);
+};
+
+// Every line shares the discount unless a coupon says otherwise
+const allLines = () => true;
+
+/**
+ * Pure totals calculation. lines: [{ menuItemId, category, lineTotal }].
+ * `discountApplies(line)` picks the lines the discount is spread over (the coupon's, see Coupon#appliesTo).
+ * Returns { subtotal, discount, taxes, taxTotal, serviceCharge, roundOff, totalAmount }.
+ */
+const computeCharges = (
+  lines,
+  { discount = 0, discountApplies = allLines, rules = [], serviceChargeRate = 0, roundingMode = 'none' } = {}
+) => {
+  const subtotal = lines.reduce((sum, l) => sum + l.lineTotal, 0);
+  const discounted = lines.filter(discountApplies).reduce((sum, l) => sum + l.lineTotal, 0);
+  const taxes = new Map(); // name|rate|inclusive → aggregated tax line
+  let taxable = 0;
+
+  for (const line of lines) {
+    const share = discounted > 0 && discountApplies(line) ? (discount * line.lineTotal) / discounted : 0;
+    const net = line.lineTotal - share;
+    const applied = rulesFor(line, rules);
+    const inclusiveRate = applied.filter((r) => r.inclusive).reduce((sum, r) => sum + r.rate, 0);
+    const base = net / (1 + inclusiveRate / 100);
+    taxable += base;
+
+    for (const rule of applied) {
+      const key = `${rule.name}|${rule.rate}|${rule.inclusive}`;
+      const entry = taxes.get(key) || { name: rule.name, rate: rule.rate, inclusive: rule.inclusive, taxableAmount: 0, amount: 0 };
+      entry.taxableAmount += base;
+      entry.amount += (base * rule.rate) / 100;
+      taxes.set(key, entry);
+    }
+  }
+
+  const taxLines = [...taxes.values()].map((t) => ({
+    ...t,
+    taxableAmount: round2(t.taxableAmount),
+    amount: round2(t.amount),
+  }));
+  const taxTotal = round2(taxLines.reduce((sum, t) => sum + t.amount, 0));
+  const exclusiveTax = taxLines.filter((t) => !t.inclusive).reduce((sum, t) => sum + t.amount, 0);
+  const serviceCharge = round2((taxable * serviceChargeRate) / 100);
+
+  const exact = round2(subtotal - discount + exclusiveTax + serviceCharge);
+  const totalAmount = round2((ROUNDERS[roundingMode] || ROUNDERS.none)(exact));
+
+  return {
+    subtotal: round2(subtotal),
+    discount: round2(discount),
+    taxes: taxLines,
+    taxTotal,
+    serviceCharge,
+    roundOff: round2(totalAmount - exact),
+    totalAmount,
+  };
+};
+
+// Loads an outlet's active tax rules and charge settings, then prices the lines
+const priceLines = async (lines, { outletId, discount = 0, discountApplies = allLines }) => {
+  const [rules, outlet] = await Promise.all([
+    TaxRule.find({ isActive: true, outletId: { $in: [outletId, null] } }),
+    outletId ? Outlet.findById(outletId) : null,
+  ]);
+  return computeCharges(lines, {
+    discount,
+    discountApplies,
+    rules,
+    serviceChargeRate: outlet?.serviceChargeRate || 0,
+    roundingMode: outlet?.roundingMode || 'none',
+  });
+};
+
+/**
+ * Sets subtotal, taxes, taxTotal, serviceCharge, roundOff and totalAmount on a new, unsaved
+ * order (after any coupon has set order.discount). Caller is responsible for saving the order.
+ */
+const applyCharges = async (order) => {
+  const lines = order.items.map((i) => ({ menuItemId: i.menuItemId, category: i.category, lineTotal: i.price * i.quantity }));
+  const coupon = order.discount ? await Coupon.findById(order.discount.couponId) : null;
+  const charges = await priceLines(lines, {
+    outletId: order.outletId,
+    discount: order.discount?.amount || 0,
+    discountApplies: coupon ? (line) => coupon.appliesTo(line) : allLines,
+  });
+
+  order.subtotal = charges.subtotal;
+  order.taxes = charges.taxes;
+  order.taxTotal = charges.taxTotal;
+  order.serviceCharge = charges.serviceCharge;
+  order.roundOff = charges.roundOff;
+  order.totalAmount = charges.totalAmount;
+};
+
+/**
+ * Gives a paid order its invoice number — INV-<OUTLET CODE>-<YEAR>-<00001>, sequential per
+ * outlet and calendar year in the outlet's timezone. Called when the payment is recorded, so
+ * numbers follow payment order; they never change once set. No-op if the order already has one.
+ */
+const assignInvoiceNumber = async (order) => {
+  if (order.invoiceNumber) return;
+
+  // Claim the order before drawing from the sequence, so a simultaneous call can't burn a number
+  const issuedAt = new Date();
+  const claim = await Order.updateOne({ _id: order._id, invoicedAt: null }, { $set: { invoicedAt: issuedAt } });
+  if (claim.modifiedCount === 0) return;
+
+  let invoiceNumber;
+  try {
+    const outlet = order.outletId ? await Outlet.findById(order.outletId) : null;
+    const code = (outlet?.code || 'main').toUpperCase();
+    const year = new Intl.DateTimeFormat('en-US', { timeZone: outlet?.timezone, year: 'numeric' }).format(issuedAt);
+    const seq = await Counter.next(`invoice:${code}:${year}`);
+    invoiceNumber = `INV-${code}-${year}-${String(seq).padStart(5, '0')}`;
+    await Order.updateOne({ _id: order._id }, { $set: { invoiceNumber } });
+  } catch (err) {
+    // Give the claim back so a later call can number the order
+    await Order.updateOne({ _id: order._id, invoiceNumber: null }, { $set: { invoicedAt: null } });
+    throw err;
+  }
+  order.invoiceNumber = invoiceNumber;
+  order.invoicedAt = issuedAt;
+};
+
+// Invoice document (the JSON response, also what the HTML view renders)
+const buildInvoice = (order, outlet) => ({
+  invoiceNumber: order.invoiceNumber,
+  issuedAt: order.invoicedAt,
+  outlet: outlet ? { id: outlet._id, name: outlet.name, address: outlet.address || null } : null,
+  order: {
+    id: order._id,
+    placedAt: order.createdAt,
+    customerName: order.customerName,
+    status: order.status,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+  },
+  lines: order.items.map((i) => ({
+    name: i.name,
+    modifiers: i.modifiers.map((m) => `${m.group}: ${m.option}`),
+    quantity: i.quantity,
+    unitPrice: i.price,
+    amount: round2(i.price * i.quantity),
+  })),
+  // Legacy orders predate subtotal/tax fields: their total was the plain item sum
+  subtotal: order.subtotal ?? order.totalAmount,
+  discount: order.discount ? { code: order.discount.code, amount: order.discount.amount } : null,
+  serviceCharge: order.serviceCharge || 0,
+  taxes: order.taxes,
+  taxTotal: order.taxTotal || 0,
+  roundOff: order.roundOff || 0,
+  total: order.totalAmount,
+});
+
+module.exports = { computeCharges, priceLines, applyCharges, assignInvoiceNumber, buildInvoice };
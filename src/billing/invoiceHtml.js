@@ -0,0 +1,80 @@
+// Printable HTML rendering of an invoice from buildInvoice() — the browser's "Save as PDF" gives the PDF copy
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const money = (n) => Number(n || 0).toFixed(2);
+const when = (d) => (d ? new Date(d).toLocaleString('en-IN') : '');
+
+const row = (label, amount, cls = '') =>
+  `<tr class="${cls}"><td colspan="3">${escapeHtml(label)}</td><td class="num">${money(amount)}</td></tr>`;
+
+const renderInvoiceHtml = (invoice) => {
+  const lines = invoice.lines
+    .map(
+      (l) => `<tr>
+        <td>${escapeHtml(l.name)}${l.modifiers.length ? `<div class="mods">${l.modifiers.map(escapeHtml).join(', ')}</div>` : ''}</td>
+        <td class="num">${l.quantity}</td>
+        <td class="num">${money(l.unitPrice)}</td>
+        <td class="num">${money(l.amount)}</td>
+      </tr>`
+    )
+    .join('');
+
+  const taxes = invoice.taxes
+    .map((t) => row(`${t.name} @ ${t.rate}%${t.inclusive ? ' (incl.)' : ''} on ${money(t.taxableAmount)}`, t.amount))
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 720px; margin: 24px auto; color: #222; }
+  h1 { font-size: 20px; margin: 0; }
+  .meta { display: flex; justify-content: space-between; margin: 16px 0; font-size: 14px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { padding: 6px 4px; border-bottom: 1px solid #ddd; text-align: left; }
+  .num { text-align: right; white-space: nowrap; }
+  .mods { color: #666; font-size: 12px; }
+  .total td { font-weight: bold; border-top: 2px solid #222; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(invoice.outlet?.name || 'Tax Invoice')}</h1>
+  ${invoice.outlet?.address ? `<div>${escapeHtml(invoice.outlet.address)}</div>` : ''}
+  <div class="meta">
+    <div>
+      <strong>Invoice ${escapeHtml(invoice.invoiceNumber)}</strong><br>
+      Issued ${escapeHtml(when(invoice.issuedAt))}
+    </div>
+    <div>
+      Order ${escapeHtml(invoice.order.id)}<br>
+      ${escapeHtml(invoice.order.customerName)} · ${escapeHtml(when(invoice.order.placedAt))}<br>
+      ${escapeHtml(invoice.order.paymentMethod)} (${escapeHtml(invoice.order.paymentStatus)})
+    </div>
+  </div>
+  <table>
+    <thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Amount</th></tr></thead>
+    <tbody>
+      ${lines}
+      ${row('Subtotal', invoice.subtotal)}
+      ${invoice.discount ? row(`Discount (${invoice.discount.code})`, -invoice.discount.amount) : ''}
+      ${invoice.serviceCharge ? row('Service charge', invoice.serviceCharge) : ''}
+      ${taxes}
+      ${invoice.roundOff ? row('Round off', invoice.roundOff) : ''}
+      ${row('Total', invoice.total, 'total')}
+    </tbody>
+  </table>
+</body>
+</html>`;
+};
+
+module.exports = { renderInvoiceHtml };
@@ -0,0 +1,25 @@
+// Each category stores the kitchen station that prepares it, and a menu item can override that
+// with its own `station` field. These are the stations for the stock category names — what a new
+// category gets when none is given, and what categories created before the field existed still use.
+const CATEGORY_STATIONS = {
+  Main: 'main',
+  Snack: 'main',
+  Dessert: 'main',
+  Drink: 'drinks',
+  Beverage: 'drinks',
+};
+
+const DEFAULT_STATION = 'main';
+
+// Every station the kitchen board knows about, even when it currently has no tickets
+const STATIONS = [...new Set([DEFAULT_STATION, ...Object.values(CATEGORY_STATIONS)])];
+
+// `category` is the item's Category document, if it has one
+const stationFor = (menuItem, category = null) =>
+  menuItem.station || category?.station || CATEGORY_STATIONS[menuItem.category] || DEFAULT_STATION;
+
+// One ticket per distinct station across the order's items
+const buildTickets = (orderItems) =>
+  [...new Set(orderItems.map((i) => i.station))].map((station) => ({ station, status: 'pending' }));
+
+module.exports = { CATEGORY_STATIONS, DEFAULT_STATION, STATIONS, stationFor, buildTickets };
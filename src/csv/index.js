@@ -0,0 +1,72 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing for exports and imports.
+ * Lines end in CRLF; fields containing a comma, quote or line break are quoted.
+ */
+
+// One cell; text that a spreadsheet would run as a formula is prefixed with '
+const csvCell = (value) => {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings). Handles quoted fields with
+ * embedded commas, quotes and line breaks, CRLF or LF endings and a leading BOM; blank
+ * lines are skipped. Throws on an unterminated quoted field.
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^﻿/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field.');
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+};
+
+/**
+ * Parses CSV with a header line into objects keyed by the (trimmed) header names.
+ * Empty cells are left out, so callers can tell "not given" from a value.
+ */
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const names = header.map((h) => h.trim());
+  return rows.map((cells) =>
+    Object.fromEntries(names.map((name, i) => [name, cells[i]]).filter(([name, v]) => name && v !== undefined && v !== ''))
+  );
+};
+
+module.exports = { csvCell, csvLine, parseCsv, parseCsvRecords };
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+/**
+ * Menu item photos.
+ *
+ * An upload is checked by its actual content (JPEG, PNG or WebP, whatever type the client
+ * claimed), turned upright, stripped of metadata and re-encoded as WebP: a full image no
+ * larger than IMAGE_MAX_DIMENSION and a square THUMB_SIZE thumbnail. Both go to the
+ * storage backend under content-hashed keys, so a URL never changes what it points to.
+ *
+ * Storage backend interface — every backend module exports:
+ *   name                      — identifier
+ *   put(key, buffer, type)    → public URL of the stored file
+ *   remove(key)               — no error if it is already gone
+ *   keyFromUrl(url)           → key for a URL the backend issued, otherwise null
+ *   mountPath, serve          — optional: express middleware the API mounts to serve the files
+ *
+ * The active backend is chosen with IMAGE_STORAGE (defaults to 'local').
+ */
+const backends = {
+  local: require('./storage/local'),
+};
+
+class ImageError extends Error {}
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+const IMAGE_MAX_DIMENSION = 1200;
+const THUMB_SIZE = 320;
+const MAX_INPUT_PIXELS = 40_000_000; // refuse decompression bombs before resizing
+
+const getStorage = (name = process.env.IMAGE_STORAGE || 'local') => {
+  const backend = backends[name];
+  if (!backend) throw new Error(`Unknown image storage "${name}".`);
+  return backend;
+};
+
+const readImage = async (buffer) => {
+  const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+  let meta;
+  try {
+    meta = await image.metadata();
+  } catch {
+    throw new ImageError('The file is not a readable image.');
+  }
+  if (!['jpeg', 'png', 'webp'].includes(meta.format)) {
+    throw new ImageError('Only JPEG, PNG and WebP images are accepted.');
+  }
+  return image;
+};
+
+/**
+ * Stores a menu item photo and its thumbnail. Returns { imageUrl, thumbnailUrl }.
+ * Throws ImageError when the upload isn't a usable image.
+ */
+const storeMenuImage = async (itemId, buffer) => {
+  const image = await readImage(buffer);
+  let full;
+  let thumb;
+  try {
+    [full, thumb] = await Promise.all([
+      image.clone().rotate().resize(IMAGE_MAX_DIMENSION, IMAGE_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true }).webp({ quality: 82 }).toBuffer(),
+      image.clone().rotate().resize(THUMB_SIZE, THUMB_SIZE, { fit: 'cover' }).webp({ quality: 75 }).toBuffer(),
+    ]);
+  } catch (err) {
+    throw new ImageError(`Could not process the image: ${err.message}`);
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+  const storage = getStorage();
+  const [imageUrl, thumbnailUrl] = await Promise.all([
+    storage.put(`menu/${itemId}/${hash}.webp`, full, 'image/webp'),
+    storage.put(`menu/${itemId}/${hash}-thumb.webp`, thumb, 'image/webp'),
+  ]);
+  return { imageUrl, thumbnailUrl };
+};
+
+/**
+ * Deletes the stored files behind the given URLs. URLs the backend didn't issue (pasted
+ * links to other sites) are left alone; failures are logged, never thrown.
+ */
+const removeImages = async (...urls) => {
+  const storage = getStorage();
+  for (const url of urls) {
+    const key = storage.keyFromUrl(url);
+    if (!key) continue;
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      console.error(`Could not remove stored image ${key}:`, err.message);
+    }
+  }
+};
+
+module.exports = { ImageError, IMAGE_TYPES, MAX_IMAGE_BYTES, getStorage, storeMenuImage, removeImages };
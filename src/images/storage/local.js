@@ -0,0 +1,49 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Local filesystem storage — files live under UPLOAD_DIR (default ./uploads) and are
+ * served by the API itself at /uploads. Keys are content-hashed, so responses can be
+ * cached for good. Set PUBLIC_URL to hand out absolute URLs.
+ */
+const ROOT = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const MOUNT_PATH = '/uploads';
+const urlPrefix = () => `${process.env.PUBLIC_URL || ''}${MOUNT_PATH}/`;
+
+// Keeps a key from escaping ROOT
+const fileFor = (key) => {
+  const file = path.resolve(ROOT, key);
+  if (!file.startsWith(ROOT + path.sep)) throw new Error(`Invalid storage key "${key}".`);
+  return file;
+};
+
+const localBackend = {
+  name: 'local',
+  mountPath: MOUNT_PATH,
+
+  async put(key, buffer) {
+    const file = fileFor(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return urlPrefix() + key;
+  },
+
+  async remove(key) {
+    await fs.rm(fileFor(key), { force: true });
+  },
+
+  keyFromUrl(url) {
+    const prefix = urlPrefix();
+    return typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  },
+
+  serve: express.static(ROOT, {
+    maxAge: '365d',
+    immutable: true,
+    index: false,
+    setHeaders: (res) => res.setHeader('X-Content-Type-Options', 'nosniff'),
+  }),
+};
+
+module.exports = localBackend;
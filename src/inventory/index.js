@@ -0,0 +1,95 @@
+const MenuItem = require('../models/MenuItem');
+const { emitLowStock } = require('../socket');
+
+/**
+ * Portion-count stock for menu items.
+ *
+ * Items with `stock: null` are not tracked. Placing an order reserves its portions with a
+ * conditional $inc per item (stock >= quantity), so two customers racing for the last portion
+ * cannot both get it; cancelling the order puts them back. Unpaid online orders are cancelled
+ * after PAYMENT_TIMEOUT_MINUTES (see ../orders), so abandoned checkouts don't sell items out.
+ * An item at 0 drops out of the public menu (MenuItem.orderableFilter), and the outlet's kitchen
+ * room gets stock:low whenever an item is at or below its threshold (item.lowStockThreshold,
+ * else LOW_STOCK_THRESHOLD, default 5).
+ */
+
+class StockError extends Error {
+  constructor(message, menuItemId) {
+    super(message);
+    this.menuItemId = menuItemId;
+  }
+}
+
+const lowStockThreshold = (item) => {
+  if (item.lowStockThreshold !== null && item.lowStockThreshold !== undefined) return item.lowStockThreshold;
+  const n = parseInt(process.env.LOW_STOCK_THRESHOLD, 10);
+  return Number.isFinite(n) && n >= 0 ? n : 5;
+};
+
+// Alerts the kitchen when a tracked item is running low (or has just sold out)
+const notifyStockLevel = (item) => {
+  if (item.stock === null || item.stock === undefined) return;
+  const threshold = lowStockThreshold(item);
+  if (item.stock <= threshold) emitLowStock(item, threshold);
+};
+
+// Sums quantities per menu item, so lines of the same item with different modifiers share one check
+const quantitiesByItem = (items) => {
+  const totals = new Map();
+  for (const { menuItemId, quantity } of items) {
+    const id = menuItemId.toString();
+    totals.set(id, (totals.get(id) || 0) + quantity);
+  }
+  return totals;
+};
+
+const restock = (entries) =>
+  Promise.all(
+    entries.map(([menuItemId, quantity]) =>
+      MenuItem.updateOne({ _id: menuItemId, stock: { $ne: null } }, { $inc: { stock: quantity } })
+    )
+  );
+
+/**
+ * Reserves stock for order items ([{ menuItemId, quantity }]).
+ * All-or-nothing: if any item is short, portions already taken for this call are put back
+ * and a StockError is thrown with a customer-facing message.
+ */
+const reserveStock = async (items) => {
+  const reserved = [];
+
+  for (const [menuItemId, quantity] of quantitiesByItem(items)) {
+    const item = await MenuItem.findOneAndUpdate(
+      { _id: menuItemId, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } },
+      { new: true }
+    );
+
+    if (item) {
+      reserved.push([menuItemId, quantity]);
+      notifyStockLevel(item);
+      continue;
+    }
+
+    const current = await MenuItem.findById(menuItemId);
+    if (current && (current.stock === null || current.stock === undefined)) continue; // not tracked
+
+    await restock(reserved);
+    throw new StockError(
+      current ? current.stockError(quantity) : `Menu item ${menuItemId} not found.`,
+      menuItemId
+    );
+  }
+};
+
+/**
+ * Puts a cancelled order's portions back. No-op for orders that never reserved stock
+ * (or already released it). Caller is responsible for saving the order.
+ */
+const releaseStock = async (order) => {
+  if (!order.stockReserved) return;
+  await restock([...quantitiesByItem(order.items)]);
+  order.stockReserved = false;
+};
+
+module.exports = { StockError, reserveStock, releaseStock, notifyStockLevel };
@@ -0,0 +1,153 @@
+const { query } = require('express-validator');
+
+/**
+ * Cursor pagination and the query filters shared by listing routes.
+ *
+ * Pages are keyset-based: results are ordered by the chosen sort fields plus _id, and the
+ * opaque `cursor` holds the sort values of the last document on the previous page, so a page
+ * costs the same however deep it is and rows inserted meanwhile don't shift later pages.
+ * Every paginated route answers with the same envelope:
+ *   { data: [...], nextCursor: string | null, hasMore: boolean, limit: number }
+ *
+ * `sorts` maps the names a client may pass as ?sort (prefix "-" for descending) to the fields
+ * they order by, e.g. { createdAt: ['createdAt'], totalAmount: ['totalAmount', 'createdAt'] }.
+ */
+
+const MAX_LIMIT = 100;
+
+class CursorError extends Error {}
+
+const DESC_PREFIX = /^-/;
+
+const encodeCursor = (sort, values) => Buffer.from(JSON.stringify({ s: sort, v: values })).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new CursorError('Invalid cursor.');
+  }
+  if (!parsed || !Array.isArray(parsed.v)) throw new CursorError('Invalid cursor.');
+  if (parsed.s !== sort) throw new CursorError('cursor belongs to a different sort order — start again without it.');
+  return parsed.v;
+};
+
+// ?limit, ?cursor and ?sort validators for a route paginated with these `sorts` and `defaultSort`
+const pageValidators = (sorts, defaultSort) => [
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+  query('sort')
+    .optional()
+    .isIn(Object.keys(sorts).flatMap((name) => [name, `-${name}`]))
+    .withMessage(`sort must be one of ${Object.keys(sorts).join(', ')} (prefix - for descending)`),
+  query('cursor')
+    .optional()
+    .custom((value, { req }) => decodeCursor(value, req.query.sort || defaultSort)),
+];
+
+// Keyset condition for "after these values": (a > x) or (a = x and b > y) or …
+const afterCondition = (keys, values) => ({
+  $or: keys.map(([field, dir], i) => {
+    const condition = Object.fromEntries(keys.slice(0, i).map(([f], j) => [f, values[j]]));
+    condition[field] = { [dir === 1 ? '$gt' : '$lt']: values[i] };
+    return condition;
+  }),
+});
+
+/**
+ * Runs one page of Model.find(filter). params are the request's query (limit, cursor, sort), already
+ * checked by pageValidators.
+ * options: { sorts, defaultSort, defaultLimit = 20, select, keep }.
+ * `keep(doc)` drops documents the query itself can't filter out (e.g. by availability schedule);
+ * further batches are read until the page is full, so only the last page comes back short.
+ * Resolves to { data, nextCursor, hasMore, limit } or throws CursorError for a bad cursor.
+ */
+const paginate = async (Model, filter, params, { sorts, defaultSort, defaultLimit = 20, select = null, keep = null }) => {
+  const sort = params.sort || defaultSort;
+  const dir = sort.startsWith('-') ? -1 : 1;
+  const keys = [...sorts[sort.replace(DESC_PREFIX, '')].map((field) => [field, dir]), ['_id', dir]];
+  const limit = Math.min(parseInt(params.limit, 10) || defaultLimit, MAX_LIMIT);
+  const valuesOf = (doc) => keys.map(([field]) => doc.get(field));
+
+  // Collect one document past the page to know whether there is another
+  const found = [];
+  let after = params.cursor ? decodeCursor(params.cursor, sort) : null;
+  for (;;) {
+    const conditions = [filter];
+    if (after) conditions.push(afterCondition(keys, after));
+
+    let q = Model.find(conditions.length > 1 ? { $and: conditions } : filter)
+      .sort(Object.fromEntries(keys))
+      .limit(limit + 1);
+    if (select) q = q.select(select);
+    const docs = await q;
+
+    for (const doc of docs) {
+      if (!keep || keep(doc)) found.push(doc);
+      if (found.length > limit) break;
+    }
+    if (found.length > limit || docs.length <= limit) break;
+    after = valuesOf(docs[docs.length - 1]);
+  }
+
+  const hasMore = found.length > limit;
+  const data = hasMore ? found.slice(0, limit) : found;
+  const last = data[data.length - 1];
+  return {
+    data,
+    nextCursor: hasMore ? encodeCursor(sort, valuesOf(last)) : null,
+    hasMore,
+    limit,
+  };
+};
+
+// ─── Filters ─────────────────────────────────────────────────────────────────
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// createdAt-style range from ISO ?from / ?to; a plain `to` date includes that whole day
+const dateRange = (from, to) => {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    const end = new Date(to);
+    if (DATE_ONLY.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+    range.$lt = end;
+  }
+  return range;
+};
+
+// Numeric range from ?min / ?max (inclusive)
+const numberRange = (min, max) => {
+  if (min === undefined && max === undefined) return null;
+  const range = {};
+  if (min !== undefined) range.$gte = Number(min);
+  if (max !== undefined) range.$lte = Number(max);
+  return range;
+};
+
+// "a,b,c" → { $in: [a, b, c] }
+const listFilter = (value) => ({ $in: String(value).split(',').map((s) => s.trim()).filter(Boolean) });
+
+// Case-insensitive "contains" match for user-typed text
+const containsText = (text) => ({ $regex: String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' });
+
+// Validator for a comma-separated ?name made of `allowed` values
+const listValidator = (name, allowed) =>
+  query(name)
+    .optional()
+    .custom((value) => String(value).split(',').every((s) => allowed.includes(s.trim())))
+    .withMessage(`${name} must be a comma-separated list of ${allowed.join(', ')}`);
+
+module.exports = {
+  MAX_LIMIT,
+  CursorError,
+  pageValidators,
+  paginate,
+  dateRange,
+  numberRange,
+  listFilter,
+  containsText,
+  listValidator,
+};
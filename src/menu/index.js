@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const MenuItem = require('../models/MenuItem');
+const Category = require('../models/Category');
+const { notifyStockLevel } = require('../inventory');
+const { csvLine, parseCsvRecords } = require('../csv');
+
+/**
+ * Bulk menu import/export for one outlet.
+ *
+ * Items are keyed by `sku`, which is unique per outlet: an imported row updates the item with
+ * that sku or creates it. Every row is checked with the same validators as POST /api/menu
+ * (and its category against the outlet's categories) before anything is written, and the writes go through one transaction, so an import either
+ * applies completely or not at all (MongoDB must run as a replica set, as Atlas does).
+ */
+
+class MenuImportError extends Error {}
+
+// Columns of an export, in order — also everything an import row may set
+const MENU_FIELDS = [
+  'sku', 'name', 'description', 'category', 'price', 'timeTaken', 'station', 'isAvailable',
+  'stock', 'lowStockThreshold', 'imageUrl', 'dietaryTags', 'allergens', 'spiceLevel', 'modifierGroups', 'availability',
+];
+
+const NUMERIC = ['price', 'timeTaken', 'stock', 'lowStockThreshold', 'spiceLevel'];
+const NULLABLE = ['station', 'stock', 'lowStockThreshold', 'spiceLevel', 'availability'];
+const LISTS = ['dietaryTags', 'allergens']; // CSV cells holding comma-separated values
+const JSON_FIELDS = { modifierGroups: [], availability: null }; // CSV cells holding JSON, with their empty value
+
+const exportRow = (item) => Object.fromEntries(MENU_FIELDS.map((f) => [f, item[f] ?? null]));
+
+// Full menu as an array of rows (modifier groups keep their _ids so a re-import keeps carts valid)
+const exportMenu = async (outletId) => {
+  const items = await MenuItem.find({ outletId }).sort({ category: 1, name: 1 }).lean();
+  return items.map(exportRow);
+};
+
+const csvValue = (field, value) => {
+  if (field in JSON_FIELDS) return JSON.stringify(value ?? JSON_FIELDS[field]);
+  if (LISTS.includes(field)) return (value || []).join(',');
+  return value;
+};
+
+const menuToCsv = (rows) =>
+  csvLine(MENU_FIELDS) +
+  rows.map((row) => csvLine(MENU_FIELDS.map((f) => csvValue(f, row[f])))).join('');
+
+// CSV cells are text: turn numbers, booleans, "null", tag lists and the modifierGroups/availability JSON into real values.
+// Anything that doesn't convert is left as text for the validators to reject.
+const fromCsvRecord = (record) => {
+  const row = { ...record };
+  for (const f of NULLABLE) if (row[f] === 'null') row[f] = null;
+  for (const f of NUMERIC) {
+    if (typeof row[f] === 'string' && row[f].trim() !== '' && !Number.isNaN(Number(row[f]))) row[f] = Number(row[f]);
+  }
+  if (row.isAvailable === 'true' || row.isAvailable === 'false') row.isAvailable = row.isAvailable === 'true';
+  for (const f of LISTS) {
+    if (typeof row[f] === 'string') row[f] = row[f].split(',').map((s) => s.trim()).filter(Boolean);
+  }
+  for (const f of Object.keys(JSON_FIELDS)) {
+    if (typeof row[f] !== 'string') continue;
+    try {
+      row[f] = JSON.parse(row[f]);
+    } catch {
+      // left as a string — fails the "must be an array/object" check
+    }
+  }
+  return row;
+};
+
+/**
+ * Turns an upload into plain row objects. `body` is CSV text (with a header line) or parsed
+ * JSON: an array of items or { items: [...] }. Throws MenuImportError if it is neither.
+ */
+const readImportRows = (body) => {
+  if (typeof body === 'string') {
+    try {
+      return parseCsvRecords(body).map(fromCsvRecord);
+    } catch (err) {
+      throw new MenuImportError(`Could not read CSV: ${err.message}`);
+    }
+  }
+  const items = Array.isArray(body) ? body : body?.items;
+  if (!Array.isArray(items)) throw new MenuImportError('Send CSV text, a JSON array of items or { items: [...] }.');
+  return items.map((item) => (item && typeof item === 'object' ? item : {}));
+};
+
+// Runs express-validator chains against one row as if it were a request body
+const validateRow = async (row, validators) => {
+  const req = { body: { ...row } };
+  for (const chain of validators) await chain.run(req);
+  const errors = validationResult(req);
+  return { body: req.body, errors: errors.isEmpty() ? null : errors.array().map(({ path, msg }) => ({ field: path, message: msg })) };
+};
+
+/**
+ * Checks every row and works out what it would do. `validators` are the POST /api/menu chains.
+ * Returns { rows: [{ row, sku, name, action: 'create' | 'update' | 'invalid', errors? }],
+ * summary: { rows, create, update, invalid }, writes } — `row` is 1-based within the upload's items.
+ */
+const planMenuImport = async (items, { outletId, validators }) => {
+  const checked = [];
+  for (const [i, item] of items.entries()) {
+    const { body, errors } = await validateRow(item, validators);
+    checked.push({ row: i + 1, body, errors: errors || [] });
+  }
+
+  // Duplicate skus inside the upload would silently overwrite each other
+  const firstRow = new Map();
+  for (const c of checked) {
+    const sku = c.body.sku;
+    if (typeof sku !== 'string' || !sku) continue;
+    if (firstRow.has(sku)) c.errors.push({ field: 'sku', message: `Duplicate sku "${sku}" (first used on row ${firstRow.get(sku)})` });
+    else firstRow.set(sku, c.row);
+  }
+
+  const categories = checked.map((c) => c.body.category).filter((name) => typeof name === 'string');
+  const unknown = new Set(await Category.unknownNames(categories, outletId));
+  for (const c of checked) {
+    if (unknown.has(c.body.category)) c.errors.push({ field: 'category', message: `Unknown category "${c.body.category}"` });
+  }
+
+  const existing = new Set(
+    (await MenuItem.find({ outletId, sku: { $in: [...firstRow.keys()] } }).select('sku').lean()).map((i) => i.sku)
+  );
+
+  const rows = [];
+  const writes = [];
+  for (const c of checked) {
+    const entry = { row: c.row, sku: c.body.sku || null, name: c.body.name || null };
+    if (c.errors.length) {
+      rows.push({ ...entry, action: 'invalid', errors: c.errors });
+      continue;
+    }
+    const fields = Object.fromEntries(MENU_FIELDS.filter((f) => f !== 'sku' && c.body[f] !== undefined).map((f) => [f, c.body[f]]));
+    rows.push({ ...entry, action: existing.has(c.body.sku) ? 'update' : 'create' });
+    writes.push({ sku: c.body.sku, fields });
+  }
+
+  const count = (action) => rows.filter((r) => r.action === action).length;
+  return {
+    rows,
+    summary: { rows: rows.length, create: count('create'), update: count('update'), invalid: count('invalid') },
+    writes,
+  };
+};
+
+// Applies a plan with no invalid rows in one transaction, then alerts the kitchen about low stock
+const applyMenuImport = async (plan, { outletId }) => {
+  if (plan.summary.invalid) throw new MenuImportError('Fix the invalid rows before importing.');
+  if (!plan.writes.length) return;
+
+  const ops = plan.writes.map(({ sku, fields }) => ({
+    updateOne: { filter: { outletId, sku }, update: { $set: fields }, upsert: true },
+  }));
+  await mongoose.connection.transaction((session) => MenuItem.bulkWrite(ops, { session, ordered: true }));
+
+  const restocked = plan.writes.filter((w) => 'stock' in w.fields).map((w) => w.sku);
+  if (restocked.length) {
+    const items = await MenuItem.find({ outletId, sku: { $in: restocked } });
+    items.forEach(notifyStockLevel);
+  }
+};
+
+module.exports = {
+  MenuImportError,
+  MENU_FIELDS,
+  exportMenu,
+  menuToCsv,
+  readImportRows,
+  planMenuImport,
+  applyMenuImport,
+};
@@ -1,6 +1,8 @@
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { verifyAccessToken } = require('../sessions');
+const { staffPermissions } = require('../permissions');
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.startsWith('Bearer ')
     ? authHeader.slice(7)
@@ -10,18 +12,30 @@ const auth = (req, res, next) => {
     return res.status(401).json({ message: 'Access denied. No token provided.' });
   }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.admin = decoded;
-    next();
-  } catch {
+  const decoded = await verifyAccessToken(token);
+  if (!decoded) {
     return res.status(401).json({ message: 'Invalid or expired token.' });
   }
+  if (decoded.type === 'user') {
+    return res.status(403).json({ message: 'This endpoint requires a staff token, not a user token.' });
+  }
+  // Staff routes filter by ?outletId (staffOutletFilter), so a malformed one must not reach Mongo
+  if (req.query.outletId !== undefined && !mongoose.isValidObjectId(req.query.outletId)) {
+    return res.status(400).json({ message: 'Invalid outletId.' });
+  }
+  req.admin = decoded;
+  next();
 };
 
-const requireRole = (...roles) => (req, res, next) => {
-  if (!roles.includes(req.admin.role)) {
-    return res.status(403).json({ message: 'Forbidden. Insufficient permissions.' });
+/**
+ * Allows staff whose role grants every one of `permissions` (use after `auth`).
+ * Sets req.admin.permissions to the role's full permission list.
+ */
+const requirePermission = (...permissions) => async (req, res, next) => {
+  const granted = await staffPermissions(req.admin);
+  const missing = permissions.filter((p) => !granted.includes(p));
+  if (missing.length) {
+    return res.status(403).json({ message: `Forbidden. Requires the ${missing.join(', ')} permission.` });
   }
   next();
 };
@@ -30,7 +44,7 @@ const requireRole = (...roles) => (req, res, next) => {
  * Middleware for user (customer) JWT verification.
  * Sets req.user = { id, phone, type: 'user' }
  */
-const userAuth = (req, res, next) => {
+const userAuth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.startsWith('Bearer ')
     ? authHeader.slice(7)
@@ -40,16 +54,15 @@ const userAuth = (req, res, next) => {
     return res.status(401).json({ message: 'Access denied. No token provided.' });
   }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.type !== 'user') {
-      return res.status(403).json({ message: 'This endpoint requires a user token, not an admin token.' });
-    }
-    req.user = decoded;
-    next();
-  } catch {
+  const decoded = await verifyAccessToken(token);
+  if (!decoded) {
     return res.status(401).json({ message: 'Invalid or expired token.' });
   }
+  if (decoded.type !== 'user') {
+    return res.status(403).json({ message: 'This endpoint requires a user token, not an admin token.' });
+  }
+  req.user = decoded;
+  next();
 };
 
-module.exports = { auth, requireRole, userAuth };
+module.exports = { auth, requirePermission, userAuth };
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Outlet = require('../models/Outlet');
+
+/**
+ * Resolves the outlet for public/customer routes from ?outletId, body.outletId or the
+ * X-Outlet-Id header, and sets req.outlet. When none is given and there is exactly one
+ * active outlet, that one is used so single-canteen setups keep working unchanged.
+ */
+const resolveOutlet = async (req, res, next) => {
+  const outletId = req.query.outletId || req.body?.outletId || req.headers['x-outlet-id'];
+
+  if (outletId) {
+    if (!mongoose.isValidObjectId(outletId)) {
+      return res.status(400).json({ message: 'Invalid outletId.' });
+    }
+    req.outlet = await Outlet.findOne({ _id: outletId, isActive: true });
+    if (!req.outlet) return res.status(404).json({ message: 'Outlet not found.' });
+    return next();
+  }
+
+  const outlets = await Outlet.find({ isActive: true }).limit(2);
+  if (outlets.length !== 1) {
+    return res.status(400).json({ message: 'outletId is required.' });
+  }
+  req.outlet = outlets[0];
+  next();
+};
+
+/**
+ * Staff outlet scoping (use after `auth`, which rejects a malformed ?outletId with a 400).
+ * Staff bound to an outlet only ever see that outlet; org-wide admins (no outletId on
+ * their account) see everything, or one outlet when they pass ?outletId.
+ */
+const staffOutletId = (req) => req.admin.outletId || req.query.outletId || null;
+
+const staffOutletFilter = (req) => {
+  const outletId = staffOutletId(req);
+  return outletId ? { outletId } : {};
+};
+
+const canAccessOutlet = (req, outletId) =>
+  !req.admin.outletId || String(req.admin.outletId) === String(outletId);
+
+/**
+ * Outlet a staff write (new menu item, pickup slot…) belongs to: the staff member's own
+ * outlet, or for org-wide admins the body.outletId (or ?outletId) they name. Resolves to null if missing/unknown.
+ */
+const staffTargetOutlet = async (req) => {
+  const outletId = req.admin.outletId || req.body?.outletId || req.query.outletId;
+  if (!outletId || !mongoose.isValidObjectId(outletId)) return null;
+  return Outlet.findById(outletId);
+};
+
+/**
+ * Outlet for a staff write that may also be shared by every outlet (coupon, tax rule, category,
+ * staff account): outlet staff always write for their own outlet; org-wide admins may name one in
+ * body.outletId or leave it out for null (shared / org-wide). Resolves to { outletId } or { error }.
+ */
+const staffWriteOutletId = async (req) => {
+  if (req.admin.outletId) return { outletId: req.admin.outletId };
+  const { outletId } = req.body;
+  if (!outletId) return { outletId: null };
+  if (!mongoose.isValidObjectId(outletId) || !(await Outlet.exists({ _id: outletId }))) {
+    return { error: 'Outlet not found.' };
+  }
+  return { outletId };
+};
+
+// Only org-wide admins (not tied to one outlet) may manage outlets themselves
+const requireOrgAdmin = (req, res, next) => {
+  if (req.admin.outletId) {
+    return res.status(403).json({ message: 'Forbidden. Requires an organisation-wide admin account.' });
+  }
+  next();
+};
+
+module.exports = {
+  resolveOutlet,
+  staffOutletId,
+  staffOutletFilter,
+  staffTargetOutlet,
+  staffWriteOutletId,
+  canAccessOutlet,
+  requireOrgAdmin,
+};
@@ -5,11 +5,25 @@ const adminSchema = new mongoose.Schema(
   {
     username: { type: String, required: true, unique: true, trim: true },
     passwordHash: { type: String, required: true },
-    role: { type: String, enum: ['admin', 'kitchen'], default: 'kitchen' },
+    role: { type: String, default: 'kitchen', trim: true, lowercase: true }, // name of a Role
+    phone: { type: String, trim: true, default: null }, // where password reset codes are texted
+    isActive: { type: Boolean, default: true }, // disabled accounts can't log in and their tokens stop working
+    // Outlet this staff member works at; null = organisation-wide admin
+    outletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Outlet', default: null },
+    tokenVersion: { type: Number, default: 0 }, // bumped to revoke every access token issued so far
   },
   { timestamps: true }
 );
 
+// Never send credentials or the token version out with the account
+adminSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.tokenVersion;
+    return ret;
+  },
+});
+
 adminSchema.methods.comparePassword = async function (plainText) {
   return bcrypt.compare(plainText, this.passwordHash);
 };
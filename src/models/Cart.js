@@ -1,17 +1,27 @@
 const mongoose = require('mongoose');
 
-const cartItemSchema = new mongoose.Schema(
+const cartModifierSchema = new mongoose.Schema(
   {
-    menuItemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem', required: true },
-    quantity: { type: Number, required: true, min: 1, default: 1 },
+    groupId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    optionId: { type: mongoose.Schema.Types.ObjectId, required: true },
   },
   { _id: false }
 );
 
+// Each line has its own _id because the same menu item can appear with different modifiers
+const cartItemSchema = new mongoose.Schema({
+  menuItemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem', required: true },
+  quantity: { type: Number, required: true, min: 1, default: 1 },
+  modifiers: { type: [cartModifierSchema], default: [] },
+});
+
 const cartSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    // Outlet the cart's items come from — set by the first item added, freed when the cart empties
+    outletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Outlet', default: null },
     items: { type: [cartItemSchema], default: [] },
+    couponCode: { type: String, default: null }, // applied promo code, re-checked on every read and at checkout
   },
   { timestamps: true }
 );
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { availabilitySchema } = require('../availability');
+
+// A menu section ("Breakfast", "Drinks"). Menu items refer to it by name.
+const categorySchema = new mongoose.Schema(
+  {
+    // Outlet the category belongs to; null = shared by every outlet
+    outletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Outlet', default: null, index: true },
+    name: { type: String, required: true, trim: true },
+    displayOrder: { type: Number, default: 0 }, // lower comes first in the menu
+    icon: { type: String, trim: true, default: null }, // emoji or image URL
+    isActive: { type: Boolean, default: true }, // inactive categories and their items are hidden from customers
+    // Kitchen station that prepares its items, unless an item names its own. Null only on categories
+    // created before it was stored — those are routed by name (see config/stations.js).
+    station: { type: String, trim: true, lowercase: true, default: null },
+    // Applies to every item in the category on top of the item's own schedule; null = always
+    availability: { type: availabilitySchema, default: null },
+  },
+  { timestamps: true }
+);
+
+categorySchema.index({ outletId: 1, name: 1 }, { unique: true });
+
+// Categories an outlet's menu can use — its own and the shared ones — in display order
+categorySchema.statics.availableTo = function (outletId, filter = {}) {
+  return this.find({ ...filter, outletId: { $in: [outletId, null] } }).sort({ displayOrder: 1, name: 1 });
+};
+
+// The outlet's categories keyed by name, for looking up a menu item's category
+categorySchema.statics.byName = async function (outletId) {
+  return new Map((await this.availableTo(outletId)).map((c) => [c.name, c]));
+};
+
+// Names of the outlet's switched-off categories — their items are left out of customer menus
+categorySchema.statics.inactiveNames = function (outletId) {
+  return this.find({ outletId: { $in: [outletId, null] }, isActive: false }).distinct('name');
+};
+
+// Which of `names` are not categories the outlet can use
+categorySchema.statics.unknownNames = async function (names, outletId) {
+  const wanted = [...new Set(names.filter(Boolean))];
+  if (!wanted.length) return [];
+  const found = await this.find({ name: { $in: wanted }, outletId: { $in: [outletId, null] } }).distinct('name');
+  return wanted.filter((name) => !found.includes(name));
+};
+
+module.exports = mongoose.model('Category', categorySchema);
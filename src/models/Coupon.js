@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A promo code customers enter at checkout. Evaluated and redeemed by src/promotions.
+const couponSchema = new mongoose.Schema(
+  {
+    // Outlet the code works at; null = every outlet
+    outletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Outlet', default: null, index: true },
+    code: { type: String, required: true, unique: true, trim: true, uppercase: true }, // "LUNCH20"
+    description: { type: String, trim: true },
+    type: { type: String, enum: ['percent', 'flat'], required: true },
+    value: { type: Number, required: true, min: 0 },      // 20 → 20% off, or ₹20 off
+    maxDiscount: { type: Number, min: 0, default: null }, // cap for percent coupons
+    minOrderValue: { type: Number, min: 0, default: 0 },  // order subtotal needed to use the code
+    // Restrict the discount to these items/categories; both empty = whole order
+    menuItemIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' }], default: [] },
+    categories: { type: [String], default: [] },
+    usageLimit: { type: Number, min: 1, default: null },   // total redemptions; null = unlimited
+    perUserLimit: { type: Number, min: 1, default: null }, // per customer account; null = unlimited
+    usedCount: { type: Number, default: 0, min: 0 },       // live redemptions (cancelled orders give theirs back)
+    validFrom: { type: Date, default: null },
+    validUntil: { type: Date, default: null },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+couponSchema.methods.isRestricted = function () {
+  return this.menuItemIds.length > 0 || this.categories.length > 0;
+};
+
+// Whether an order line ({ menuItemId, category }) counts towards the discount
+couponSchema.methods.appliesTo = function ({ menuItemId, category }) {
+  if (!this.isRestricted()) return true;
+  return this.menuItemIds.some((id) => id.toString() === menuItemId.toString()) || this.categories.includes(category);
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
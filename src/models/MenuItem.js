@@ -1,20 +1,121 @@
 const mongoose = require('mongoose');
+const { availabilitySchema } = require('../availability');
+
+const DIETARY_TAGS = ['veg', 'non-veg', 'egg', 'vegan', 'jain', 'gluten-free'];
+const ALLERGENS = [
+  'gluten', 'milk', 'eggs', 'peanuts', 'tree-nuts', 'soy', 'sesame', 'mustard',
+  'fish', 'crustaceans', 'molluscs', 'celery', 'lupin', 'sulphites',
+];
+
+const modifierOptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },       // "Extra cheese", "Large"
+  priceDelta: { type: Number, default: 0 },                 // added to the item price (may be negative)
+  timeDelta: { type: Number, default: 0, min: 0 },          // extra prep minutes
+  isAvailable: { type: Boolean, default: true },
+});
+
+const modifierGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },       // "Size", "Add-ons", "Sugar"
+  selection: { type: String, enum: ['single', 'multiple'], default: 'single' },
+  required: { type: Boolean, default: false },
+  maxSelect: { type: Number, min: 1, default: null },       // multiple only; null = no limit
+  options: {
+    type: [modifierOptionSchema],
+    validate: [(v) => v.length > 0, 'A modifier group needs at least one option'],
+  },
+});
 
 const menuItemSchema = new mongoose.Schema(
   {
+    outletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Outlet', default: null, index: true },
+    sku: { type: String, trim: true, default: null }, // stable key for bulk import/export, unique per outlet
     name: { type: String, required: true, trim: true },
     description: { type: String, trim: true },
     price: { type: Number, required: true, min: 0 },
-    category: {
-      type: String,
-      required: true,
-      enum: ['Main', 'Snack', 'Drink', 'Beverage', 'Dessert'],
-    },
+    // Name of a Category the item's outlet can use — checked by the menu routes, not here,
+    // so renaming or retiring a category never invalidates existing documents
+    category: { type: String, required: true, trim: true },
     timeTaken: { type: Number, required: true, min: 1 }, // prep time in minutes — mandatory
-    isAvailable: { type: Boolean, default: true },
+    // Kitchen station override — falls back to the category's station
+    station: { type: String, trim: true, lowercase: true, default: null },
+    modifierGroups: { type: [modifierGroupSchema], default: [] },
+    dietaryTags: { type: [{ type: String, enum: DIETARY_TAGS }], default: [] },
+    allergens: { type: [{ type: String, enum: ALLERGENS }], default: [] }, // what the dish contains
+    spiceLevel: { type: Number, min: 0, max: 3, default: null }, // 0 = not spicy … 3 = very hot; null = not stated
+    isAvailable: { type: Boolean, default: true }, // manual switch; stock 0 also hides the item
+    // Weekly windows and blackout dates in the outlet timezone; null = whenever isAvailable (see src/availability)
+    availability: { type: availabilitySchema, default: null },
+    // Portions left; null = not tracked. Orders reserve stock atomically (see src/inventory)
+    stock: { type: Number, min: 0, default: null },
+    lowStockThreshold: { type: Number, min: 0, default: null }, // null → LOW_STOCK_THRESHOLD
     imageUrl: { type: String, trim: true },
+    thumbnailUrl: { type: String, trim: true, default: null }, // set by image upload; cleared when imageUrl changes
   },
   { timestamps: true }
 );
 
+menuItemSchema.index({ outletId: 1, sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+// Word search over name and description for the menu's ?q= (stemmed, so "samosas" finds "Samosa")
+menuItemSchema.index({ name: 'text', description: 'text' }, { name: 'menu_search' });
+
+// Query conditions for items customers can order right now (switched on and not sold out)
+menuItemSchema.statics.orderableFilter = () => ({ isAvailable: true, stock: { $ne: 0 } });
+
+// Customer-facing message when `quantity` portions can't be served from stock, otherwise null
+menuItemSchema.methods.stockError = function (quantity) {
+  if (this.stock === null || this.stock === undefined || this.stock >= quantity) return null;
+  if (this.stock === 0) return `"${this.name}" is sold out.`;
+  return `Only ${this.stock} "${this.name}" left.`;
+};
+
+/**
+ * Validates a customer's modifier choices ([{ groupId, optionId }]) against this item's groups.
+ * Returns { modifiers, unitPrice, timeTaken } — modifiers is the snapshot stored on carts/orders —
+ * or { error } with a customer-facing message.
+ */
+menuItemSchema.methods.applyModifiers = function (selections = []) {
+  const chosen = new Map(); // groupId → [option]
+  const modifiers = [];
+  let unitPrice = this.price;
+  let timeTaken = this.timeTaken;
+
+  for (const { groupId, optionId } of selections) {
+    const group = this.modifierGroups.id(groupId);
+    const option = group && group.options.id(optionId);
+    if (!option) return { error: `Invalid customization for "${this.name}".` };
+    if (!option.isAvailable) return { error: `"${option.name}" is currently unavailable for "${this.name}".` };
+
+    const picked = chosen.get(group.id) || [];
+    if (picked.some((o) => o.id === option.id)) {
+      return { error: `"${option.name}" was selected more than once for "${this.name}".` };
+    }
+    picked.push(option);
+    chosen.set(group.id, picked);
+
+    unitPrice += option.priceDelta;
+    timeTaken += option.timeDelta;
+    modifiers.push({
+      groupId: group._id,
+      optionId: option._id,
+      group: group.name,
+      option: option.name,
+      priceDelta: option.priceDelta,
+      timeDelta: option.timeDelta,
+    });
+  }
+
+  for (const group of this.modifierGroups) {
+    const count = (chosen.get(group.id) || []).length;
+    if (group.required && count === 0) {
+      return { error: `Please choose a ${group.name} for "${this.name}".` };
+    }
+    const max = group.selection === 'single' ? 1 : group.maxSelect;
+    if (max && count > max) {
+      return { error: `Choose at most ${max} ${group.name} option(s) for "${this.name}".` };
+    }
+  }
+
+  return { modifiers, unitPrice: Math.max(0, unitPrice), timeTaken };
+};
+
 module.exports = mongoose.model('MenuItem', menuItemSchema);
@@ -1,54 +1,238 @@
 const mongoose = require('mongoose');
+const { estimateQueue } = require('../queue/estimator');
+
+// Snapshot of a chosen customization, so tickets and totals survive later menu edits
+const orderModifierSchema = new mongoose.Schema(
+  {
+    groupId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    optionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    group: { type: String, required: true },  // "Size"
+    option: { type: String, required: true }, // "Large"
+    priceDelta: { type: Number, default: 0 },
+    timeDelta: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
 
 const orderItemSchema = new mongoose.Schema(
   {
     menuItemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem', required: true },
     name: { type: String, required: true },
     quantity: { type: Number, required: true, min: 1 },
-    price: { type: Number, required: true },
-    // Snapshot prep time at order time so estimates don't change if menu is updated later
+    price: { type: Number, required: true }, // unit price including modifier deltas
+    basePrice: { type: Number, default: null }, // menu price before modifiers
+    modifiers: { type: [orderModifierSchema], default: [] },
+    // Snapshot prep time (including modifier time deltas) at order time so estimates don't change if menu is updated later
     timeTaken: { type: Number, default: null },
+    station: { type: String, default: null }, // kitchen station that prepares this item
+    category: { type: String, default: null }, // menu category at order time (coupon restrictions, reports)
+  },
+  { _id: false }
+);
+
+// One ticket per kitchen station involved in the order
+const ticketSchema = new mongoose.Schema(
+  {
+    station: { type: String, required: true },
+    status: { type: String, enum: ['pending', 'preparing', 'ready'], default: 'pending' },
+    startedAt: { type: Date, default: null },
+    readyAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// Single-use pickup code state — only the nonce hash is stored (see src/pickup)
+const pickupSchema = new mongoose.Schema(
+  {
+    nonceHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// Coupon applied at checkout — amounts are snapshotted so later coupon edits don't change the order
+const discountSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+    code: { type: String, required: true },
+    type: { type: String, enum: ['percent', 'flat'], required: true },
+    value: { type: Number, required: true },
+    amount: { type: Number, required: true }, // money taken off the subtotal
+  },
+  { _id: false }
+);
+
+// One tax on the order, aggregated over the lines it applies to
+const taxLineSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true }, // "CGST"
+    rate: { type: Number, required: true }, // percent
+    inclusive: { type: Boolean, default: false },
+    taxableAmount: { type: Number, required: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Who made a status change — staff (admin/kitchen), the customer, a guest, or the system itself
+const actorSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['admin', 'user', 'guest', 'system'], required: true },
+    id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    role: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    status: { type: String, required: true },
+    from: { type: String, default: null }, // previous status (null for the initial entry)
+    at: { type: Date, default: Date.now },
+    actor: { type: actorSchema, required: true },
+    route: { type: String, default: null }, // e.g. "PATCH /api/orders/:id/status"
+    reason: { type: String, default: null },
   },
   { _id: false }
 );
 
 const orderSchema = new mongoose.Schema(
   {
+    outletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Outlet', default: null, index: true },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
     customerName: { type: String, required: true, trim: true },
     items: { type: [orderItemSchema], required: true },
+    tickets: { type: [ticketSchema], default: [] },
+    subtotal: { type: Number, default: null }, // item total before discount (null on legacy orders)
+    discount: { type: discountSchema, default: null },
+    taxes: { type: [taxLineSchema], default: [] },
+    taxTotal: { type: Number, default: 0 }, // inclusive and exclusive taxes
+    serviceCharge: { type: Number, default: 0 },
+    roundOff: { type: Number, default: 0 },
+    // Amount payable: subtotal − discount + exclusive taxes + service charge ± round-off (see src/billing)
     totalAmount: { type: Number, required: true },
+    invoiceNumber: { type: String, default: null }, // assigned once the order is paid
+    invoicedAt: { type: Date, default: null },
+    // 'awaiting_payment' orders are held out of the kitchen queue until their payment is confirmed;
+    // 'scheduled' pre-orders are held until their releaseAt time
     status: {
       type: String,
-      enum: ['pending', 'preparing', 'ready', 'completed', 'cancelled'],
+      enum: ['awaiting_payment', 'scheduled', 'pending', 'preparing', 'ready', 'completed', 'cancelled'],
+      default: 'pending',
+    },
+    paymentMethod: { type: String, enum: ['upi', 'card', 'cash'], default: 'cash' },
+    paymentStatus: {
+      type: String,
+      enum: ['pending', 'paid', 'failed', 'refunded'],
       default: 'pending',
     },
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', default: null },
+    // Pre-order pickup window; null for ASAP orders
+    pickupSlot: {
+      type: new mongoose.Schema(
+        {
+          slotId: { type: mongoose.Schema.Types.ObjectId, ref: 'PickupSlot', required: true },
+          start: { type: Date, required: true },
+          end: { type: Date, required: true },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // When a scheduled order joins the live queue: slot start minus its prep time and a buffer
+    releaseAt: { type: Date, default: null, index: true },
+    // Append-only audit trail — always change status through setStatus()
+    statusHistory: { type: [statusChangeSchema], default: [] },
+    // Hidden from API responses; select('+pickup') when verifying a code
+    pickup: { type: pickupSchema, default: null, select: false },
+    // When the kitchen started on the order — used to count elapsed prep time in wait estimates
+    startedAt: { type: Date, default: null },
+    // Whether the items' portions are currently held in menu stock (released again on cancel)
+    stockReserved: { type: Boolean, default: false },
+    // Whether the order holds a place in its pickup slot (given back on cancel)
+    slotBooked: { type: Boolean, default: false },
   },
   { timestamps: true }
 );
 
-// Returns how long one order takes: max timeTaken across its items (kitchen prepares in parallel)
-const orderPrepTime = (order) => {
-  const times = order.items.map((i) => i.timeTaken || 0).filter((t) => t > 0);
-  return times.length > 0 ? Math.max(...times) : 0;
+// Pickup state never leaves the server, even on freshly created documents
+orderSchema.set('toJSON', {
+  transform: (_doc, ret) => {
+    delete ret.pickup;
+    return ret;
+  },
+});
+
+// An outlet's active orders in queue order — the input every wait estimate is computed from
+orderSchema.statics.findActiveQueue = function (outletId) {
+  return this.find({ outletId, status: { $in: ['pending', 'preparing'] } }).sort({ createdAt: 1, _id: 1 });
+};
+
+// Estimator options for an outlet (its own parallel kitchen slots, if configured)
+orderSchema.statics.estimatorOptions = async function (outletId) {
+  const outlet = outletId ? await mongoose.model('Outlet').findById(outletId) : null;
+  return { slots: outlet?.parallelSlots || undefined };
 };
 
 /**
- * Returns { position, estimatedMinutes }
- * position       — how many active orders are ahead (1 = next up)
- * estimatedMinutes — sum of prep times of all orders ahead + this order's own prep time
+ * Returns { position, estimatedMinutes, estimatedReadyAt } within the order's outlet queue from
+ * the shared estimator (src/queue/estimator.js), so REST responses match the socket queue:update payloads.
+ * position — 1 = next up; all fields are null when the order is not in the active queue.
  */
 orderSchema.methods.getQueuePosition = async function () {
-  const ordersAhead = await this.constructor.find({
-    status: { $in: ['pending', 'preparing'] },
-    createdAt: { $lt: this.createdAt },
+  const activeOrders = await this.constructor.findActiveQueue(this.outletId);
+  const options = await this.constructor.estimatorOptions(this.outletId);
+  const estimate = estimateQueue(activeOrders, options).get(this._id.toString());
+  if (!estimate) return { position: null, estimatedMinutes: null, estimatedReadyAt: null };
+
+  return {
+    position: estimate.queuePosition,
+    estimatedMinutes: estimate.estimatedMinutes,
+    estimatedReadyAt: estimate.estimatedReadyAt,
+  };
+};
+
+/**
+ * Changes the order's status and records who did it in statusHistory.
+ * meta: { actor: { type, id, role }, route, reason } — actor defaults to system.
+ * Caller is responsible for saving.
+ */
+orderSchema.methods.setStatus = function (status, { actor = { type: 'system' }, route = null, reason = null } = {}) {
+  this.statusHistory.push({
+    status,
+    from: this.isNew ? null : this.status,
+    at: new Date(),
+    actor,
+    route,
+    reason,
   });
+  this.status = status;
+};
+
+// Status a paid (or cash) order enters with: held as 'scheduled' until releaseAt, else straight to 'pending'
+orderSchema.methods.queueEntryStatus = function (now = new Date()) {
+  return this.releaseAt && this.releaseAt > now ? 'scheduled' : 'pending';
+};
 
-  const position = ordersAhead.length + 1;
-  const waitFromAhead = ordersAhead.reduce((sum, o) => sum + orderPrepTime(o), 0);
-  const estimatedMinutes = waitFromAhead + orderPrepTime(this);
+/**
+ * Status timeline for display. Staff views include actor ids and the route used;
+ * customer-facing views only say what kind of actor made each change.
+ */
+orderSchema.methods.getTimeline = function ({ detailed = false } = {}) {
+  return this.statusHistory.map((e) => ({
+    status: e.status,
+    from: e.from,
+    at: e.at,
+    actor: detailed ? e.actor : { type: e.actor.type, role: e.actor.role },
+    reason: e.reason,
+    ...(detailed && { route: e.route }),
+  }));
+};
 
-  return { position, estimatedMinutes };
+// True once every station has finished its part (orders without tickets count as done)
+orderSchema.methods.allTicketsReady = function () {
+  return this.tickets.every((t) => t.status === 'ready');
 };
 
 module.exports = mongoose.model('Order', orderSchema);
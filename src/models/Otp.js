@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Current one-time code for a phone and purpose (see src/otp). Only a keyed hash of the code is stored.
+const otpSchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true, trim: true },
+    // staff_reset codes go to a staff member's phone; the others to a customer's
+    purpose: { type: String, enum: ['register', 'login', 'reset', 'staff_reset'], required: true },
+    codeHash: { type: String, default: null }, // null once used or burnt by too many wrong guesses
+    expiresAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 }, // wrong guesses against the current code
+    // Resend limiting: codes sent since windowStartedAt, and when the last one went out
+    sends: { type: Number, default: 0 },
+    windowStartedAt: { type: Date, required: true },
+    lastSentAt: { type: Date, required: true },
+    purgeAt: { type: Date, required: true }, // once the code and the send window have both lapsed
+  },
+  { timestamps: true }
+);
+
+otpSchema.index({ phone: 1, purpose: 1 }, { unique: true });
+otpSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Otp', otpSchema);
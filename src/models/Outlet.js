@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A canteen/outlet. Menu items, orders, carts, pickup slots and staff all belong to one.
+const outletSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    code: { type: String, required: true, unique: true, trim: true, lowercase: true }, // short slug, e.g. "main-block"
+    address: { type: String, trim: true },
+    timezone: { type: String, default: 'Asia/Kolkata' },
+    // Orders this kitchen works on at once — overrides KITCHEN_PARALLEL_SLOTS for its wait estimates
+    parallelSlots: { type: Number, min: 1, default: null },
+    serviceChargeRate: { type: Number, min: 0, max: 100, default: 0 }, // percent of the pre-tax amount
+    // How the payable total is rounded to a whole currency unit (difference shown as round-off)
+    roundingMode: { type: String, enum: ['none', 'nearest', 'up', 'down'], default: 'none' },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Outlet', outletSchema);
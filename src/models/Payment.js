@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+    provider: { type: String, required: true }, // e.g. 'mock' — see src/payments
+    method: { type: String, enum: ['upi', 'card'], required: true },
+    amount: { type: Number, required: true, min: 0 },
+    // Provider-side reference for this intent (used to match verification/callbacks)
+    providerRef: { type: String, required: true, unique: true },
+    status: {
+      type: String,
+      enum: ['created', 'succeeded', 'failed'],
+      default: 'created',
+    },
+    // Whatever the client needs to complete the payment (UPI deep link, checkout token, ...)
+    clientData: { type: mongoose.Schema.Types.Mixed, default: {} },
+    failureReason: { type: String, default: null },
+    confirmedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Audit log of rejected pickup-code redemptions (expired, reused, mismatched, ...)
+const pickupFailureSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null, index: true },
+    reason: {
+      type: String,
+      required: true,
+      enum: [
+        'missing',
+        'invalid_signature',
+        'expired',
+        'order_mismatch',
+        'order_not_found',
+        'superseded',
+        'already_used',
+        'not_owner',
+        'not_ready',
+        'wrong_outlet',
+      ],
+    },
+    // Short hash of the presented code, so repeated attempts can be correlated without storing it
+    codeFingerprint: { type: String, default: null },
+    actor: {
+      type: { type: String, enum: ['admin', 'user', 'guest'], required: true },
+      id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    },
+    route: { type: String, default: null },
+    ip: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('PickupFailure', pickupFailureSchema);
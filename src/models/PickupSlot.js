@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { localDate, zonedTime } = require('../availability');
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A recurring daily pickup window at one outlet (in the outlet's timezone) with a cap on how many orders it takes
+const pickupSlotSchema = new mongoose.Schema(
+  {
+    outletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Outlet', default: null, index: true },
+    label: { type: String, trim: true },
+    startTime: { type: String, required: true, match: HHMM }, // "12:30"
+    endTime: { type: String, required: true, match: HHMM },   // "12:45"
+    capacity: { type: Number, required: true, min: 1 },       // max orders per day in this slot
+    daysOfWeek: { type: [Number], default: [0, 1, 2, 3, 4, 5, 6] }, // 0 = Sunday
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// Concrete { start, end } Dates for this slot on a given YYYY-MM-DD day in `timeZone` (the outlet's)
+pickupSlotSchema.methods.windowOn = function (date, timeZone) {
+  return {
+    start: zonedTime(date, toMinutes(this.startTime), timeZone),
+    end: zonedTime(date, toMinutes(this.endTime), timeZone),
+  };
+};
+
+pickupSlotSchema.methods.runsOn = function (date) {
+  return this.daysOfWeek.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+};
+
+// Counter holding how many orders are booked into a slot on the day that starts at `start`
+const bookingKey = (slotId, start) => `slot:${slotId}:${start.toISOString()}`;
+
+// Non-cancelled orders booked into this slot on a day — what a day's counter starts from
+pickupSlotSchema.methods.countOrders = function (start) {
+  return mongoose.model('Order').countDocuments({
+    'pickupSlot.slotId': this._id,
+    'pickupSlot.start': start,
+    status: { $ne: 'cancelled' },
+  });
+};
+
+// Orders already booked into this slot on the day that starts at `start` (cancelled ones free up space)
+pickupSlotSchema.methods.bookedCount = async function (start) {
+  const counter = await Counter.findById(bookingKey(this._id, start));
+  return counter ? counter.seq : this.countOrders(start);
+};
+
+/**
+ * Takes one place in the slot on the day that starts at `start`. The place is taken with a
+ * conditional $inc on the day's counter, so two checkouts racing for the last place can't
+ * both get it. Returns false when the slot is full.
+ */
+pickupSlotSchema.methods.book = async function (start) {
+  const _id = bookingKey(this._id, start);
+  if (!(await Counter.exists({ _id }))) {
+    try {
+      await Counter.create({ _id, seq: await this.countOrders(start) });
+    } catch (err) {
+      if (err.code !== 11000) throw err; // another checkout created it first
+    }
+  }
+  const counter = await Counter.findOneAndUpdate({ _id, seq: { $lt: this.capacity } }, { $inc: { seq: 1 } }, { new: true });
+  return Boolean(counter);
+};
+
+// Gives a place taken with book() back
+pickupSlotSchema.statics.releaseBooking = function (slotId, start) {
+  return Counter.updateOne({ _id: bookingKey(slotId, start), seq: { $gt: 0 } }, { $inc: { seq: -1 } });
+};
+
+/**
+ * Capacity snapshot for a YYYY-MM-DD day in `timeZone`:
+ * { start, end, booked, remaining, bookable } — bookable only if the slot is active,
+ * runs that weekday, hasn't started yet and still has room.
+ */
+pickupSlotSchema.methods.availabilityOn = async function (date, timeZone, now = new Date()) {
+  const { start, end } = this.windowOn(date, timeZone);
+  const booked = await this.bookedCount(start);
+  const remaining = Math.max(0, this.capacity - booked);
+  const bookable = this.isActive && this.runsOn(date) && start > now && remaining > 0;
+  return { start, end, booked, remaining, bookable };
+};
+
+// YYYY-MM-DD of `d` in the outlet's timezone — "today" for slot listings and bookings
+pickupSlotSchema.statics.localDate = (timeZone, d = new Date()) => localDate(d, timeZone);
+
+module.exports = mongoose.model('PickupSlot', pickupSlotSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a refresh token (see src/sessions). Only a hash of the token is stored.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ['admin', 'user'], required: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    // Every token rotated from the same login shares a family; reuse of a rotated token revokes it
+    family: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+refreshTokenSchema.index({ kind: 1, accountId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB drops expired tokens
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+    outletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Outlet', default: null, index: true },
+    // Online payment being refunded; null for cash handed back at the counter
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', default: null },
+    provider: { type: String, default: null },
+    method: { type: String, enum: ['upi', 'card', 'cash'], required: true },
+    amount: { type: Number, required: true, min: 0 },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending',
+    },
+    reason: { type: String, default: null },
+    providerRef: { type: String, default: null }, // provider's refund reference
+    failureReason: { type: String, default: null },
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Everything a staff role can be allowed to do
+const PERMISSIONS = [
+  'menu:write', // menu items, categories, photos, import/export — including prices
+  'menu:stock', // stock counts
+  'orders:read', // the live queue
+  'orders:history', // past orders and customer lookups
+  'orders:update', // move orders and station tickets along, redeem pickup codes
+  'orders:cancel',
+  'payments:collect', // record cash payments and hand back cash refunds at the counter
+  'payments:read', // refund lists
+  'reports:read', // analytics
+  'slots:write',
+  'coupons:write',
+  'taxes:write',
+  'outlets:write', // organisation-wide admins only
+  'staff:manage', // staff accounts and roles
+];
+
+/**
+ * A named set of permissions staff accounts are given by `Admin.role`.
+ * System roles (admin) always hold every permission and can't be edited or deleted.
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    description: { type: String, trim: true, default: '' },
+    permissions: { type: [{ type: String, enum: PERMISSIONS }], default: [] },
+    isSystem: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+/**
+ * A tax applied at checkout, e.g. CGST 2.5% + SGST 2.5% on food, or 18% on packaged drinks.
+ * A line is taxed by the rules naming its menu item if any, else those naming its category,
+ * else the unrestricted ones — so item rules override category rules, which override defaults.
+ */
+const taxRuleSchema = new mongoose.Schema(
+  {
+    // Outlet the rule applies at; null = every outlet
+    outletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Outlet', default: null, index: true },
+    name: { type: String, required: true, trim: true }, // printed on the invoice, e.g. "CGST"
+    rate: { type: Number, required: true, min: 0, max: 100 }, // percent
+    inclusive: { type: Boolean, default: false }, // true = menu prices already include this tax
+    menuItemIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' }], default: [] },
+    categories: { type: [String], default: [] },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
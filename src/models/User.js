@@ -5,7 +5,9 @@ const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     phone: { type: String, required: true, unique: true, trim: true },
+    phoneVerifiedAt: { type: Date, default: null }, // last proved by OTP; null for accounts from before OTP
     passwordHash: { type: String, required: true },
+    tokenVersion: { type: Number, default: 0 }, // bumped to revoke every access token issued so far
   },
   { timestamps: true }
 );
@@ -0,0 +1,92 @@
+const Order = require('../models/Order');
+const PickupSlot = require('../models/PickupSlot');
+const { refundOrder } = require('../payments');
+const { releaseStock } = require('../inventory');
+const { releaseCoupon } = require('../promotions');
+const { emitOrderStatus, emitOrderCancelled } = require('../socket');
+
+/**
+ * Order cancellation, shared by staff, customers and the scheduler.
+ *
+ * Cancelling gives back everything the order was holding — its stock, its coupon redemption,
+ * its place in a pickup slot — and refunds it if it was paid. Online orders that stay unpaid
+ * for PAYMENT_TIMEOUT_MINUTES (default 15) after they were placed are cancelled the same way,
+ * so an abandoned checkout doesn't keep portions out of the menu or places out of a slot.
+ */
+
+const paymentTimeoutMinutes = () => {
+  const n = parseFloat(process.env.PAYMENT_TIMEOUT_MINUTES);
+  return Number.isFinite(n) && n > 0 ? n : 15;
+};
+
+/**
+ * Takes a place in the order's pickup slot, if it has one. Returns false when the slot is
+ * full (or gone). Caller is responsible for saving the order.
+ */
+const bookSlot = async (order) => {
+  if (!order.pickupSlot) return true;
+  const slot = await PickupSlot.findById(order.pickupSlot.slotId);
+  if (!slot || !(await slot.book(order.pickupSlot.start))) return false;
+  order.slotBooked = true;
+  return true;
+};
+
+// Gives the order's pickup slot place back; no-op if it holds none. Caller saves the order.
+const releaseSlot = async (order) => {
+  if (!order.slotBooked) return;
+  await PickupSlot.releaseBooking(order.pickupSlot.slotId, order.pickupSlot.start);
+  order.slotBooked = false;
+};
+
+// Statuses an order can still be cancelled from
+const CANCELLABLE = ['awaiting_payment', 'scheduled', 'pending', 'preparing'];
+
+/**
+ * Cancels an order and releases what it holds. `meta` is what Order#setStatus takes
+ * ({ actor, route, reason }); `from` narrows the statuses it may be cancelled from.
+ * The transition is claimed atomically first, so when two callers race only one refunds and
+ * releases. Resolves to { order, refund } — the saved order and its refund record, if any —
+ * or null when the order was no longer in one of the `from` statuses.
+ */
+const cancelOrder = async (order, meta = {}, { from = CANCELLABLE } = {}) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: from } },
+    { $set: { status: 'cancelled' } },
+    { returnDocument: 'before' }
+  );
+  if (!claimed) return null;
+
+  claimed.setStatus('cancelled', meta);
+  const refund = await refundOrder(claimed, { reason: meta.reason || null });
+  await releaseStock(claimed);
+  await releaseCoupon(claimed);
+  await releaseSlot(claimed);
+  await claimed.save();
+
+  emitOrderStatus(claimed);
+  emitOrderCancelled(claimed, meta.reason || null);
+  return { order: claimed, refund };
+};
+
+// Cancels online orders still awaiting payment after the timeout; returns how many
+const expireUnpaidOrders = async (now = new Date()) => {
+  const minutes = paymentTimeoutMinutes();
+  const stale = await Order.find({
+    status: 'awaiting_payment',
+    createdAt: { $lte: new Date(now.getTime() - minutes * 60000) },
+  });
+
+  let expired = 0;
+  for (const order of stale) {
+    // Only if still unpaid — a payment confirmed since the query has already released the order
+    const cancelled = await cancelOrder(
+      order,
+      { actor: { type: 'system' }, reason: `Payment not received within ${minutes} minutes` },
+      { from: ['awaiting_payment'] }
+    );
+    if (cancelled) expired += 1;
+  }
+  return expired;
+};
+
+module.exports = { CANCELLABLE, bookSlot, releaseSlot, cancelOrder, expireUnpaidOrders };
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { body } = require('express-validator');
+const Otp = require('../models/Otp');
+
+/**
+ * One-time codes sent by SMS to prove a customer owns a phone number.
+ *
+ * A code is six digits, valid for OTP_TTL_MINUTES (default 5), single-use, and burnt after
+ * MAX_ATTEMPTS wrong guesses. Requesting a new code replaces the old one. For each phone and
+ * purpose, codes go out at most once per OTP_RESEND_COOLDOWN_SECONDS (default 30) and MAX_SENDS
+ * times per OTP_SEND_WINDOW_MINUTES (default 60). Only an HMAC of the code (keyed with
+ * OTP_SECRET, else JWT_SECRET) is stored.
+ *
+ * SMS provider interface — every provider module exports:
+ *   name                         — identifier
+ *   send({ phone, message })     → { providerRef }
+ *
+ * The active provider is chosen with SMS_PROVIDER (defaults to 'console').
+ */
+const providers = {
+  console: require('./providers/console'),
+};
+
+// What the SMS calls the code, per purpose
+const CODE_NAMES = {
+  register: 'verification code',
+  login: 'login code',
+  reset: 'password reset code',
+  staff_reset: 'staff password reset code',
+};
+const OTP_LENGTH = 6;
+const MAX_ATTEMPTS = 5;
+const MAX_SENDS = 5;
+const ttlMinutes = () => Number(process.env.OTP_TTL_MINUTES) || 5;
+const cooldownMs = () => (Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 30) * 1000;
+const windowMs = () => (Number(process.env.OTP_SEND_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+class OtpError extends Error {
+  // reason: 'cooldown' | 'too_many_sends' | 'invalid'; retryAfter in seconds for the rate limits
+  constructor(reason, message, retryAfter = null) {
+    super(message);
+    this.reason = reason;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const getSmsProvider = (name = process.env.SMS_PROVIDER || 'console') => {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown SMS provider "${name}".`);
+  return provider;
+};
+
+const hashCode = (phone, purpose, code) =>
+  crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${purpose}:${phone}:${code}`)
+    .digest('hex');
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const seconds = (ms) => Math.ceil(ms / 1000);
+
+// Request-body check for the code a customer or staff member types in
+const otpValidator = body('otp')
+  .isString().trim()
+  .matches(new RegExp(`^\\d{${OTP_LENGTH}}$`)).withMessage(`otp must be the ${OTP_LENGTH}-digit code sent by SMS`);
+
+// Sends an OtpError back — rate limits as 429 with Retry-After, anything else as 400
+const otpErrorResponse = (res, err) => {
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+    return res.status(429).json({ message: err.message, retryAfter: err.retryAfter });
+  }
+  return res.status(400).json({ message: err.message });
+};
+
+/**
+ * Generates a code for the phone and purpose and texts it (unless `deliver` is false).
+ * Returns { expiresAt, resendAfter }; throws OtpError when a rate limit applies.
+ */
+const requestOtp = async (phone, purpose, { deliver = true } = {}) => {
+  const now = new Date();
+  let otp = await Otp.findOne({ phone, purpose });
+
+  if (otp) {
+    const wait = otp.lastSentAt.getTime() + cooldownMs() - now.getTime();
+    if (wait > 0) {
+      throw new OtpError('cooldown', `Please wait ${seconds(wait)} seconds before asking for another code.`, seconds(wait));
+    }
+    const windowLeft = otp.windowStartedAt.getTime() + windowMs() - now.getTime();
+    if (windowLeft <= 0) {
+      otp.sends = 0;
+      otp.windowStartedAt = now;
+    } else if (otp.sends >= MAX_SENDS) {
+      throw new OtpError('too_many_sends', 'Too many codes requested. Please try again later.', seconds(windowLeft));
+    }
+  } else {
+    otp = new Otp({ phone, purpose, windowStartedAt: now });
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+  otp.codeHash = hashCode(phone, purpose, code);
+  otp.expiresAt = new Date(now.getTime() + ttlMinutes() * 60 * 1000);
+  otp.attempts = 0;
+  otp.sends += 1;
+  otp.lastSentAt = now;
+  otp.purgeAt = new Date(Math.max(otp.expiresAt.getTime(), otp.windowStartedAt.getTime() + windowMs()));
+
+  try {
+    await otp.save();
+  } catch (err) {
+    // Two first requests at once — the other one already sent a code
+    if (err.code === 11000) throw new OtpError('cooldown', 'A code was just sent. Please wait before asking again.', seconds(cooldownMs()));
+    throw err;
+  }
+
+  if (deliver) {
+    await getSmsProvider().send({
+      phone,
+      message: `${code} is your Qless ${CODE_NAMES[purpose]}. It expires in ${ttlMinutes()} minutes. Do not share it.`,
+    });
+  }
+
+  return { expiresAt: otp.expiresAt, resendAfter: new Date(now.getTime() + cooldownMs()) };
+};
+
+/**
+ * Checks a code and uses it up. Throws OtpError('invalid') when it is wrong, expired,
+ * already used or out of attempts.
+ */
+const verifyOtp = async (phone, purpose, code) => {
+  const otp = await Otp.findOneAndUpdate(
+    { phone, purpose, codeHash: { $ne: null }, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) throw new OtpError('invalid', 'Invalid or expired code. Please request a new one.');
+
+  if (!sameHash(otp.codeHash, hashCode(phone, purpose, String(code)))) {
+    const left = MAX_ATTEMPTS - otp.attempts;
+    throw new OtpError('invalid', left > 0 ? `Incorrect code. ${left} attempt(s) left.` : 'Incorrect code. Please request a new one.');
+  }
+
+  // Single use — only one of two simultaneous correct guesses gets through
+  const used = await Otp.updateOne({ _id: otp._id, codeHash: otp.codeHash }, { $set: { codeHash: null } });
+  if (!used.modifiedCount) throw new OtpError('invalid', 'Invalid or expired code. Please request a new one.');
+};
+
+module.exports = { OtpError, otpValidator, otpErrorResponse, requestOtp, verifyOtp };
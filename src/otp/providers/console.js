@@ -0,0 +1,20 @@
+const fs = require('fs/promises');
+
+/**
+ * Development SMS provider — nothing is sent. Messages are printed to the console and,
+ * when SMS_LOG_FILE is set, appended to that file as one JSON line each.
+ */
+const consoleProvider = {
+  name: 'console',
+
+  async send({ phone, message }) {
+    console.log(`[sms:console] to ${phone}: ${message}`);
+    if (process.env.SMS_LOG_FILE) {
+      const line = JSON.stringify({ at: new Date().toISOString(), phone, message });
+      await fs.appendFile(process.env.SMS_LOG_FILE, `${line}\n`);
+    }
+    return { providerRef: null };
+  },
+};
+
+module.exports = consoleProvider;
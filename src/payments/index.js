@@ -0,0 +1,176 @@
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Order = require('../models/Order');
+const { emitQueueUpdate, emitOrderStatus } = require('../socket');
+const { assignInvoiceNumber } = require('../billing');
+
+/**
+ * Payment provider interface — every provider module exports:
+ *   name                                  — identifier stored on Payment.provider
+ *   methods                               — payment methods it can handle (e.g. ['upi', 'card'])
+ *   createIntent({ orderId, method, amount }) → { providerRef, clientData }
+ *   verify({ providerRef, payload })      → { status: 'succeeded' | 'failed', reason? }
+ *   parseCallback(req)                    → { providerRef, status, reason? } | null
+ *   refund({ providerRef, amount })       → { status: 'processed' | 'pending' | 'failed', refundRef?, reason? }
+ *
+ * The active provider is chosen with PAYMENT_PROVIDER (defaults to 'mock').
+ * Cash is paid at the counter and never goes through a provider.
+ */
+const providers = {
+  mock: require('./providers/mock'),
+};
+
+const PAYMENT_METHODS = ['upi', 'card', 'cash'];
+
+const getProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown payment provider "${name}".`);
+  return provider;
+};
+
+/**
+ * Creates a payment intent for an order awaiting online payment.
+ * Any earlier intent that was never confirmed is left as-is; the newest one wins.
+ */
+const createPaymentIntent = async (order) => {
+  const provider = getProvider();
+  if (!provider.methods.includes(order.paymentMethod)) {
+    throw new Error(`Provider "${provider.name}" does not support "${order.paymentMethod}".`);
+  }
+
+  const { providerRef, clientData } = await provider.createIntent({
+    orderId: order._id.toString(),
+    method: order.paymentMethod,
+    amount: order.totalAmount,
+  });
+
+  return Payment.create({
+    orderId: order._id,
+    provider: provider.name,
+    method: order.paymentMethod,
+    amount: order.totalAmount,
+    providerRef,
+    clientData,
+  });
+};
+
+/**
+ * Records a provider result on the payment and its order.
+ * A successful payment releases an 'awaiting_payment' order into the kitchen queue
+ * (or into 'scheduled' when it is a pre-order whose release time is still ahead) and gives
+ * it its invoice number; one that lands after the order was cancelled is refunded.
+ * Both steps are conditional updates, so repeated or concurrent callbacks settle a payment once.
+ * Returns the updated order (or null if it no longer exists).
+ */
+const applyPaymentResult = async (payment, { status, reason = null }) => {
+  // A succeeded payment is final; a failed one can still succeed on a later attempt
+  const settled = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: status === 'succeeded' ? { $in: ['created', 'failed'] } : 'created' },
+    {
+      $set: {
+        status,
+        failureReason: status === 'failed' ? reason : null,
+        confirmedAt: status === 'succeeded' ? new Date() : null,
+      },
+    },
+    { returnDocument: 'after' }
+  );
+  // Settled by another callback — report the current state and leave everything as it is
+  const current = settled || (await Payment.findById(payment._id));
+  if (current) payment.set(current.toObject());
+  if (!settled) return Order.findById(payment.orderId);
+
+  let order = await Order.findById(payment.orderId);
+  if (!order) return null;
+
+  if (status !== 'succeeded') {
+    await Order.updateOne({ _id: order._id, paymentStatus: { $ne: 'paid' } }, { $set: { paymentStatus: 'failed' } });
+    return Order.findById(order._id);
+  }
+
+  // Release the order only while it is still awaiting payment — the expiry job may have cancelled it meanwhile
+  order.setStatus(order.queueEntryStatus(), {
+    actor: { type: 'system' },
+    reason: `Paid via ${payment.provider} (${payment.method})`,
+  });
+  const released = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'awaiting_payment' },
+    {
+      $set: { status: order.status, paymentStatus: 'paid', paymentId: payment._id },
+      $push: { statusHistory: order.statusHistory[order.statusHistory.length - 1].toObject() },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (released) {
+    order = released;
+  } else {
+    order = await Order.findById(payment.orderId);
+    if (!order) return null;
+    order.paymentStatus = 'paid';
+    order.paymentId = payment._id;
+    if (order.status === 'cancelled') {
+      // Paid after the order was cancelled — hand the money straight back
+      await refundOrder(order, { reason: 'Payment received after cancellation' });
+      await order.save();
+      return order;
+    }
+    await order.save();
+  }
+
+  await assignInvoiceNumber(order);
+  emitOrderStatus(order);
+  emitQueueUpdate(order.outletId);
+  return order;
+};
+
+/**
+ * Creates the refund record for a cancelled order that was already paid.
+ * Online payments are refunded through their provider straight away; cash refunds stay
+ * 'pending' until staff hand the money back (PATCH /api/payments/refunds/:id).
+ * Returns the refund, or null when nothing was paid. Caller saves the order.
+ */
+const refundOrder = async (order, { reason = null } = {}) => {
+  if (order.paymentStatus !== 'paid') return null;
+
+  if (order.paymentMethod === 'cash') {
+    return Refund.create({
+      orderId: order._id,
+      outletId: order.outletId,
+      method: 'cash',
+      amount: order.totalAmount,
+      reason,
+    });
+  }
+
+  const payment = await Payment.findById(order.paymentId);
+  if (!payment) throw new Error(`Payment for order ${order._id} not found.`);
+
+  const refund = new Refund({
+    orderId: order._id,
+    outletId: order.outletId,
+    paymentId: payment._id,
+    provider: payment.provider,
+    method: payment.method,
+    amount: payment.amount,
+    reason,
+  });
+
+  const result = await getProvider(payment.provider).refund({
+    providerRef: payment.providerRef,
+    amount: payment.amount,
+  });
+
+  refund.status = result.status;
+  refund.providerRef = result.refundRef || null;
+  refund.failureReason = result.status === 'failed' ? result.reason || null : null;
+  if (result.status === 'processed') {
+    refund.processedAt = new Date();
+    order.paymentStatus = 'refunded';
+  }
+
+  await refund.save();
+  return refund;
+};
+
+module.exports = { PAYMENT_METHODS, getProvider, createPaymentIntent, applyPaymentResult, refundOrder };
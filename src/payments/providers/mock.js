@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+/**
+ * Mock payment provider for local development and testing.
+ * No money moves — intents are confirmed by calling verify with
+ * { outcome: 'success' | 'failure' } (defaults to success).
+ */
+const mockProvider = {
+  name: 'mock',
+  methods: ['upi', 'card'],
+
+  async createIntent({ orderId, method, amount }) {
+    const providerRef = `mock_${crypto.randomBytes(12).toString('hex')}`;
+    const clientData = method === 'upi'
+      ? { upiUri: `upi://pay?pa=qless@mock&am=${amount.toFixed(2)}&tr=${providerRef}&tn=Order%20${orderId}` }
+      : { checkoutToken: providerRef };
+    return { providerRef, clientData };
+  },
+
+  async verify({ payload = {} }) {
+    if (payload.outcome === 'failure') {
+      return { status: 'failed', reason: payload.reason || 'Payment declined by mock provider.' };
+    }
+    return { status: 'succeeded' };
+  },
+
+  // Refunds settle instantly
+  async refund() {
+    return { status: 'processed', refundRef: `mockrf_${crypto.randomBytes(12).toString('hex')}` };
+  },
+
+  // Webhook body: { providerRef, outcome }
+  async parseCallback(req) {
+    const { providerRef, outcome, reason } = req.body || {};
+    if (!providerRef) return null;
+    return {
+      providerRef,
+      status: outcome === 'failure' ? 'failed' : 'succeeded',
+      reason: reason || null,
+    };
+  },
+};
+
+module.exports = mockProvider;
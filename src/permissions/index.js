@@ -0,0 +1,69 @@
+const Role = require('../models/Role');
+
+/**
+ * Staff permissions.
+ *
+ * A staff account's `role` names a Role document, and the role's permission set decides what
+ * the account may do — routes check it with `requirePermission`. Roles are read on every
+ * request, so editing a role takes effect at once without logging anyone out.
+ *
+ * The built-in roles are created on startup if missing. `admin` is a system role that is
+ * always kept in step with the full permission list; the others are ordinary roles seeded
+ * with sensible defaults and can be edited like any other.
+ */
+
+const PERMISSIONS = Role.schema.path('permissions').embeddedSchemaType.enumValues;
+
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Everything, including staff and roles',
+    permissions: PERMISSIONS,
+    isSystem: true,
+  },
+  manager: {
+    description: 'Runs an outlet — menu, orders, payments, promotions and reports, but not staff',
+    permissions: PERMISSIONS.filter((p) => !['outlets:write', 'staff:manage'].includes(p)),
+  },
+  cashier: {
+    description: 'Counter — takes payments, hands out orders and can cancel them; cannot edit the menu',
+    permissions: ['orders:read', 'orders:history', 'orders:update', 'orders:cancel', 'payments:collect', 'payments:read'],
+  },
+  kitchen: {
+    description: 'Kitchen — works the queue and keeps stock counts up to date',
+    permissions: ['orders:read', 'orders:update', 'menu:stock', 'payments:collect'],
+  },
+};
+
+// Creates missing built-in roles; edits made to non-system roles are left alone
+const ensureDefaultRoles = () =>
+  Role.bulkWrite(
+    Object.entries(DEFAULT_ROLES).map(([name, { permissions, isSystem = false, description }]) => ({
+      updateOne: {
+        filter: { name },
+        update: isSystem
+          ? { $set: { permissions, isSystem }, $setOnInsert: { description } }
+          : { $setOnInsert: { permissions, isSystem, description } },
+        upsert: true,
+      },
+    }))
+  );
+
+// Permissions granted by a role name; none if the role doesn't exist
+const permissionsFor = async (roleName) => {
+  const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+  return role ? role.permissions : [];
+};
+
+// Permissions of the signed-in staff member (req.admin), looked up once per request
+const staffPermissions = async (admin) => {
+  if (!admin.permissions) admin.permissions = await permissionsFor(admin.role);
+  return admin.permissions;
+};
+
+// Staff may only hand out permissions they hold themselves
+const canGrant = async (admin, permissions) => {
+  const own = await staffPermissions(admin);
+  return permissions.every((p) => own.includes(p));
+};
+
+module.exports = { PERMISSIONS, ensureDefaultRoles, permissionsFor, staffPermissions, canGrant };
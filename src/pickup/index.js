@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Order = require('../models/Order');
+const PickupFailure = require('../models/PickupFailure');
+
+/**
+ * Signed, single-use pickup codes (rendered as a QR code by the app).
+ *
+ * The code is a JWT { typ: 'pickup', oid, nonce } signed with PICKUP_CODE_SECRET
+ * (falls back to JWT_SECRET) and valid for PICKUP_CODE_TTL (default 24h).
+ * Only a hash of the nonce is stored on the order, so issuing a new code
+ * supersedes the old one, and redeeming sets pickup.usedAt atomically.
+ */
+
+const secret = () => process.env.PICKUP_CODE_SECRET || process.env.JWT_SECRET;
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+class PickupCodeError extends Error {
+  constructor(reason, message, orderId = null) {
+    super(message);
+    this.reason = reason;
+    this.orderId = orderId;
+  }
+}
+
+/**
+ * Generates a fresh code for the order and stores its nonce hash/expiry on it.
+ * Caller is responsible for saving the order.
+ */
+const issuePickupCode = (order) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const code = jwt.sign(
+    { typ: 'pickup', oid: order._id.toString(), nonce },
+    secret(),
+    { expiresIn: process.env.PICKUP_CODE_TTL || '24h' }
+  );
+
+  order.pickup = {
+    nonceHash: hash(nonce),
+    expiresAt: new Date(jwt.decode(code).exp * 1000),
+    usedAt: null,
+  };
+
+  return code;
+};
+
+/**
+ * Checks signature, expiry, order match and single-use state.
+ * Returns { order, nonceHash } or throws PickupCodeError.
+ */
+const verifyPickupCode = async (code, { orderId } = {}) => {
+  if (!code) throw new PickupCodeError('missing', 'Pickup code is required.', orderId);
+
+  let payload;
+  try {
+    payload = jwt.verify(code, secret());
+  } catch (err) {
+    const expired = err.name === 'TokenExpiredError';
+    throw new PickupCodeError(
+      expired ? 'expired' : 'invalid_signature',
+      expired ? 'Pickup code has expired.' : 'Invalid pickup code.',
+      orderId
+    );
+  }
+
+  if (payload.typ !== 'pickup' || !payload.oid || !payload.nonce) {
+    throw new PickupCodeError('invalid_signature', 'Invalid pickup code.', orderId);
+  }
+  if (orderId && payload.oid !== orderId) {
+    throw new PickupCodeError('order_mismatch', 'Pickup code does not belong to this order.', orderId);
+  }
+
+  const order = await Order.findById(payload.oid).select('+pickup');
+  if (!order) throw new PickupCodeError('order_not_found', 'Order not found.', payload.oid);
+
+  const nonceHash = hash(payload.nonce);
+  if (!order.pickup || order.pickup.nonceHash !== nonceHash) {
+    throw new PickupCodeError('superseded', 'Pickup code has been replaced by a newer one.', payload.oid);
+  }
+  if (order.pickup.usedAt) {
+    throw new PickupCodeError('already_used', 'Pickup code has already been used.', payload.oid);
+  }
+
+  return { order, nonceHash };
+};
+
+/**
+ * Marks the code as used. Conditional update so two scanners racing on the same
+ * code cannot both succeed. Throws PickupCodeError('already_used') if it lost the race.
+ */
+const consumePickupCode = async (order, nonceHash) => {
+  const usedAt = new Date();
+  const result = await Order.updateOne(
+    { _id: order._id, 'pickup.nonceHash': nonceHash, 'pickup.usedAt': null },
+    { $set: { 'pickup.usedAt': usedAt } }
+  );
+  if (result.modifiedCount === 0) {
+    throw new PickupCodeError('already_used', 'Pickup code has already been used.', order._id);
+  }
+  order.pickup.usedAt = usedAt;
+};
+
+// Persists a rejected attempt; never throws so it can't mask the original error
+const logPickupFailure = async (req, err, code) => {
+  let actor = { type: 'guest' };
+  if (req.admin) actor = { type: 'admin', id: req.admin.id };
+  else if (req.user) actor = { type: 'user', id: req.user.id };
+
+  console.warn(`Pickup rejected (${err.reason}) for order ${err.orderId || 'unknown'} by ${actor.type} ${actor.id || ''}`);
+
+  try {
+    await PickupFailure.create({
+      orderId: err.orderId && /^[a-f\d]{24}$/i.test(String(err.orderId)) ? err.orderId : null,
+      reason: err.reason,
+      codeFingerprint: code ? hash(String(code)).slice(0, 16) : null,
+      actor,
+      route: `${req.method} ${req.originalUrl}`,
+      ip: req.ip,
+    });
+  } catch (logErr) {
+    console.error('Failed to record pickup failure:', logErr.message);
+  }
+};
+
+module.exports = {
+  PickupCodeError,
+  issuePickupCode,
+  verifyPickupCode,
+  consumePickupCode,
+  logPickupFailure,
+};
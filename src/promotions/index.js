@@ -0,0 +1,104 @@
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+
+/**
+ * Coupon checks and redemption for checkout.
+ *
+ * A coupon takes a percent (optionally capped by maxDiscount) or a flat amount off the lines it
+ * applies to — the whole order, or only its menuItemIds/categories — once the order subtotal
+ * reaches minOrderValue. Redemptions count against usageLimit atomically when an order is placed
+ * and are given back when that order is cancelled; perUserLimit counts the customer's
+ * non-cancelled orders, so it needs a logged-in customer.
+ */
+
+class CouponError extends Error {}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Order lines in the shape evaluateCoupon expects
+const orderLines = (items) =>
+  items.map((i) => ({ menuItemId: i.menuItemId, category: i.category, lineTotal: i.price * i.quantity }));
+
+/**
+ * Checks `code` for an order in progress and works out its discount without redeeming it.
+ * lines: [{ menuItemId, category, lineTotal }].
+ * Returns { coupon, subtotal, discount } or throws CouponError with a customer-facing message.
+ */
+const evaluateCoupon = async (code, { outletId, userId = null, lines, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) throw new CouponError('Invalid coupon code.');
+
+  if (coupon.outletId && String(coupon.outletId) !== String(outletId)) {
+    throw new CouponError(`Coupon ${coupon.code} is not valid at this outlet.`);
+  }
+  if (coupon.validFrom && now < coupon.validFrom) {
+    throw new CouponError(`Coupon ${coupon.code} is not active yet.`);
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    throw new CouponError(`Coupon ${coupon.code} has expired.`);
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw new CouponError(`Coupon ${coupon.code} has been fully redeemed.`);
+  }
+
+  if (coupon.perUserLimit !== null) {
+    if (!userId) throw new CouponError(`Log in to use coupon ${coupon.code}.`);
+    const used = await Order.countDocuments({
+      userId,
+      'discount.couponId': coupon._id,
+      status: { $ne: 'cancelled' },
+    });
+    if (used >= coupon.perUserLimit) {
+      throw new CouponError(`You have already used coupon ${coupon.code} the maximum number of times.`);
+    }
+  }
+
+  const subtotal = lines.reduce((sum, l) => sum + l.lineTotal, 0);
+  if (subtotal < coupon.minOrderValue) {
+    throw new CouponError(`Coupon ${coupon.code} needs a minimum order of ${coupon.minOrderValue}.`);
+  }
+
+  const eligible = lines.filter((l) => coupon.appliesTo(l)).reduce((sum, l) => sum + l.lineTotal, 0);
+  if (eligible === 0) {
+    throw new CouponError(`Coupon ${coupon.code} does not apply to any item in your order.`);
+  }
+
+  let discount = coupon.type === 'percent' ? (eligible * coupon.value) / 100 : coupon.value;
+  if (coupon.type === 'percent' && coupon.maxDiscount !== null) discount = Math.min(discount, coupon.maxDiscount);
+  discount = round2(Math.min(discount, eligible));
+
+  return { coupon, subtotal: round2(subtotal), discount };
+};
+
+/**
+ * Applies `code` to a new, unsaved order — sets subtotal, discount and totalAmount — and claims
+ * one redemption. Throws CouponError (nothing claimed). Caller is responsible for saving the order.
+ */
+const redeemCoupon = async (order, code, { userId = null } = {}) => {
+  const { coupon, subtotal, discount } = await evaluateCoupon(code, {
+    outletId: order.outletId,
+    userId,
+    lines: orderLines(order.items),
+  });
+
+  // Conditional so concurrent checkouts can't push usedCount past usageLimit
+  const claimed = await Coupon.updateOne(
+    { _id: coupon._id, $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+    { $inc: { usedCount: 1 } }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new CouponError(`Coupon ${coupon.code} has been fully redeemed.`);
+  }
+
+  order.subtotal = subtotal;
+  order.discount = { couponId: coupon._id, code: coupon.code, type: coupon.type, value: coupon.value, amount: discount };
+  order.totalAmount = round2(subtotal - discount);
+};
+
+// Gives a cancelled order's redemption back to the coupon. Call once, on cancellation.
+const releaseCoupon = async (order) => {
+  if (!order.discount) return;
+  await Coupon.updateOne({ _id: order.discount.couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+module.exports = { CouponError, evaluateCoupon, redeemCoupon, releaseCoupon };
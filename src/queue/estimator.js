@@ -0,0 +1,86 @@
+/**
+ * Wait-time estimator shared by REST responses (Order#getQueuePosition) and socket events
+ * (emitQueueUpdate), so both always report the same numbers.
+ *
+ * Model:
+ *   - The kitchen works on KITCHEN_PARALLEL_SLOTS orders at once (default 1).
+ *   - An item's prep time grows with quantity: each extra unit adds
+ *     PREP_QUANTITY_FACTOR × timeTaken (default 0.5, so 3 teas take 2× one tea).
+ *   - An order's prep time is the max across its items (items are prepared in parallel).
+ *   - Orders already 'preparing' hold a slot and only count their remaining time.
+ *   - Pending orders take the next free slot, oldest first.
+ */
+
+const envNumber = (value, fallback) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const defaultSlots = () => Math.max(1, Math.floor(envNumber(process.env.KITCHEN_PARALLEL_SLOTS, 1)));
+const defaultQuantityFactor = () => Math.max(0, envNumber(process.env.PREP_QUANTITY_FACTOR, 0.5));
+
+const itemPrepTime = (item, quantityFactor = defaultQuantityFactor()) => {
+  if (!item.timeTaken || item.timeTaken <= 0) return 0;
+  return item.timeTaken * (1 + (item.quantity - 1) * quantityFactor);
+};
+
+const orderPrepTime = (order, quantityFactor = defaultQuantityFactor()) => {
+  const times = order.items.map((i) => itemPrepTime(i, quantityFactor));
+  return times.length > 0 ? Math.max(0, ...times) : 0;
+};
+
+// When the kitchen started on an order (falls back to the earliest station ticket)
+const startedAt = (order) => {
+  if (order.startedAt) return order.startedAt;
+  const ticketStarts = (order.tickets || []).map((t) => t.startedAt).filter(Boolean);
+  return ticketStarts.length > 0 ? new Date(Math.min(...ticketStarts)) : null;
+};
+
+/**
+ * Estimates every active order in one pass.
+ * @param {Array} orders  active (pending/preparing) orders, sorted oldest first
+ * @param {Object} [opts] { slots, quantityFactor, now } — override env defaults
+ * @returns {Map<string, { queuePosition, estimatedMinutes, estimatedReadyAt }>} keyed by order id
+ */
+const estimateQueue = (orders, opts = {}) => {
+  const slots = opts.slots || defaultSlots();
+  const quantityFactor = opts.quantityFactor ?? defaultQuantityFactor();
+  const now = opts.now || new Date();
+
+  // Minutes from now until each slot is free
+  const slotFreeAt = new Array(slots).fill(0);
+  const takeSlot = (minutes) => {
+    const idx = slotFreeAt.indexOf(Math.min(...slotFreeAt));
+    slotFreeAt[idx] += minutes;
+    return slotFreeAt[idx];
+  };
+
+  const finishAt = new Map();
+
+  // Orders in progress already occupy a slot — schedule them first with their remaining time
+  for (const order of orders.filter((o) => o.status === 'preparing')) {
+    const start = startedAt(order);
+    const elapsed = start ? (now - start) / 60000 : 0;
+    const remaining = Math.max(0, orderPrepTime(order, quantityFactor) - elapsed);
+    finishAt.set(order._id.toString(), takeSlot(remaining));
+  }
+
+  for (const order of orders.filter((o) => o.status !== 'preparing')) {
+    finishAt.set(order._id.toString(), takeSlot(orderPrepTime(order, quantityFactor)));
+  }
+
+  const result = new Map();
+  orders.forEach((order, index) => {
+    const id = order._id.toString();
+    const estimatedMinutes = Math.ceil(finishAt.get(id));
+    result.set(id, {
+      queuePosition: index + 1,
+      estimatedMinutes,
+      estimatedReadyAt: new Date(now.getTime() + estimatedMinutes * 60000),
+    });
+  });
+
+  return result;
+};
+
+module.exports = { itemPrepTime, orderPrepTime, estimateQueue, defaultQuantityFactor };
@@ -0,0 +1,45 @@
+const Order = require('../models/Order');
+const { orderPrepTime } = require('./estimator');
+const { emitQueueUpdate, emitOrderStatus } = require('../socket');
+const { expireUnpaidOrders } = require('../orders');
+
+// Extra minutes a scheduled order is released ahead of its own prep time
+const releaseBufferMinutes = () => {
+  const n = parseFloat(process.env.SCHEDULE_RELEASE_BUFFER_MINUTES);
+  return Number.isFinite(n) && n >= 0 ? n : 5;
+};
+
+/**
+ * When a pre-order for a slot starting at `slotStart` should join the live queue.
+ * Released orders keep their createdAt, so they slot in ahead of later ASAP orders
+ * and come out of the kitchen in time for their pickup window.
+ */
+const computeReleaseAt = (order, slotStart) =>
+  new Date(slotStart.getTime() - (orderPrepTime(order) + releaseBufferMinutes()) * 60000);
+
+// Moves every due 'scheduled' order into 'pending' and refreshes each affected outlet's queue once
+const releaseDueOrders = async (now = new Date()) => {
+  const due = await Order.find({ status: 'scheduled', releaseAt: { $lte: now } });
+  const outletIds = new Set();
+
+  for (const order of due) {
+    order.setStatus('pending', { actor: { type: 'system' }, reason: 'Released for scheduled pickup' });
+    await order.save();
+    emitOrderStatus(order);
+    outletIds.add(String(order.outletId));
+  }
+
+  for (const outletId of outletIds) emitQueueUpdate(outletId);
+  return due.length;
+};
+
+// Polls for due pre-orders and unpaid orders past their payment timeout (SCHEDULER_INTERVAL_SECONDS, default 30)
+const startScheduler = () => {
+  const seconds = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || 30;
+  return setInterval(() => {
+    releaseDueOrders().catch((err) => console.error('Scheduled order release failed:', err.message));
+    expireUnpaidOrders().catch((err) => console.error('Unpaid order expiry failed:', err.message));
+  }, seconds * 1000);
+};
+
+module.exports = { computeReleaseAt, releaseDueOrders, startScheduler };
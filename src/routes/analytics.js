@@ -0,0 +1,380 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Outlet = require('../models/Outlet');
+const User = require('../models/User');
+const { auth, requirePermission } = require('../middleware/auth');
+const { staffOutletId } = require('../middleware/outlet');
+const { summary, salesSeries, topSellers, peakHours, prepTimes } = require('../analytics');
+const { EXPORT_KINDS, EXPORT_FORMATS, streamOrderExport } = require('../analytics/export');
+const { listFilter, listValidator, containsText } = require('../listing');
+const { validTimezone, zonedTime } = require('../availability');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Analytics
+ *   description: Sales and kitchen reports (reports:read permission)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ReportFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         example: "2025-01-01"
+ *       description: Start of the range (ISO 8601 date or timestamp; a plain date starts at midnight in the report timezone). Defaults to 30 days ago.
+ *     ReportTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         example: "2025-01-31"
+ *       description: End of the range (ISO 8601); a plain date includes that whole day in the report timezone. Defaults to now.
+ *     ReportOutlet:
+ *       in: query
+ *       name: outletId
+ *       schema:
+ *         type: string
+ *       description: Org-wide admins only — limit to one outlet (outlet staff always get their own)
+ *     ReportTimezone:
+ *       in: query
+ *       name: tz
+ *       schema:
+ *         type: string
+ *         example: Asia/Kolkata
+ *       description: IANA timezone for day/hour buckets. Defaults to the outlet's, else REPORT_TIMEZONE (Asia/Kolkata).
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const reportValidators = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('outletId').optional().isMongoId().withMessage('Invalid outletId'),
+  query('tz').optional().custom(validTimezone).withMessage('tz must be an IANA timezone'),
+];
+
+// ─── Helper: base $match and bucketing timezone shared by every report ────────
+// A date-only `from`/`to` means midnight in the report timezone; a plain `to` date includes that whole day
+const reportScope = async (req) => {
+  const outletId = staffOutletId(req);
+  const outlet = outletId ? await Outlet.findById(outletId) : null;
+  const timezone = req.query.tz || outlet?.timezone || process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+  const bound = (value, { endOfDay = false } = {}) =>
+    DATE_ONLY.test(value) ? zonedTime(value, endOfDay ? 24 * 60 : 0, timezone) : new Date(value);
+  const to = req.query.to ? bound(req.query.to, { endOfDay: true }) : new Date();
+  const from = req.query.from ? bound(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60000);
+
+  const match = { createdAt: { $gte: from, $lt: to } };
+  if (outletId) match.outletId = new mongoose.Types.ObjectId(String(outletId));
+
+  return { match, timezone, range: { from, to, outletId: outletId || null, timezone } };
+};
+
+// Every report runs the same validation and scoping, then answers { ...range, <report> }
+const report = (handler) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const scope = await reportScope(req);
+  res.json({ ...scope.range, ...(await handler(scope, req)) });
+};
+
+/**
+ * @swagger
+ * /api/analytics/summary:
+ *   get:
+ *     summary: Revenue, order count, average order value, discounts, tax and cancellation rate
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportOutlet'
+ *     responses:
+ *       200:
+ *         description: |
+ *           Totals for the range. Revenue counts every order that was not cancelled or left awaiting
+ *           payment; cancellationRate is cancelled / orders that got past the payment step.
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/summary', auth, requirePermission('reports:read'), reportValidators, report(async ({ match }) => summary(match)));
+
+/**
+ * @swagger
+ * /api/analytics/sales:
+ *   get:
+ *     summary: Revenue and order counts per day or per hour
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportOutlet'
+ *       - $ref: '#/components/parameters/ReportTimezone'
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, hour]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: "{ series: [{ period, orders, revenue, averageOrderValue }] } oldest first; empty periods are omitted"
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/sales',
+  auth,
+  requirePermission('reports:read'),
+  [...reportValidators, query('interval').optional().isIn(['day', 'hour']).withMessage('interval must be day or hour')],
+  report(async ({ match, timezone }, req) => ({
+    interval: req.query.interval || 'day',
+    series: await salesSeries(match, { interval: req.query.interval, timezone }),
+  }))
+);
+
+/**
+ * @swagger
+ * /api/analytics/top-items:
+ *   get:
+ *     summary: Best-selling menu items or categories by quantity
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportOutlet'
+ *       - in: query
+ *         name: by
+ *         schema:
+ *           type: string
+ *           enum: [item, category]
+ *           default: item
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: "{ items: [{ menuItemId | category, name, quantity, revenue, orders }] }"
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/top-items',
+  auth,
+  requirePermission('reports:read'),
+  [
+    ...reportValidators,
+    query('by').optional().isIn(['item', 'category']).withMessage('by must be item or category'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  ],
+  report(async ({ match }, req) => ({
+    by: req.query.by || 'item',
+    items: await topSellers(match, { by: req.query.by, limit: parseInt(req.query.limit, 10) || 10 }),
+  }))
+);
+
+/**
+ * @swagger
+ * /api/analytics/peak-hours:
+ *   get:
+ *     summary: Orders and revenue by hour of day, busiest first
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportOutlet'
+ *       - $ref: '#/components/parameters/ReportTimezone'
+ *     responses:
+ *       200:
+ *         description: "{ hours: [{ hour, orders, revenue, averageOrdersPerDay }] }"
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/peak-hours',
+  auth,
+  requirePermission('reports:read'),
+  reportValidators,
+  report(async ({ match, timezone }) => ({ hours: await peakHours(match, { timezone }) }))
+);
+
+/**
+ * @swagger
+ * /api/analytics/prep-times:
+ *   get:
+ *     summary: Actual vs estimated kitchen prep time, from order status timestamps
+ *     tags: [Analytics]
+ *     description: |
+ *       Actual prep is the time from an order first entering `preparing` to first entering `ready`;
+ *       queue wait is from placing the order to `preparing`. The estimate is the same per-order prep
+ *       time the wait estimator uses (item timeTaken snapshots scaled by quantity).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportOutlet'
+ *       - $ref: '#/components/parameters/ReportTimezone'
+ *     responses:
+ *       200:
+ *         description: |
+ *           { overall, byDay: [...] } — each with orders, averageActualMinutes, averageEstimatedMinutes,
+ *           averageDifferenceMinutes, averageQueueWaitMinutes and lateRate (share slower than estimated)
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/prep-times',
+  auth,
+  requirePermission('reports:read'),
+  reportValidators,
+  report(async ({ match, timezone }) => prepTimes(match, { timezone }))
+);
+
+const ORDER_STATUSES = Order.schema.path('status').enumValues;
+
+/**
+ * @swagger
+ * /api/analytics/export/{kind}:
+ *   get:
+ *     summary: Stream orders or their line items as CSV or NDJSON (requires reports:read)
+ *     tags: [Analytics]
+ *     description: |
+ *       `orders` gives one row per order (totals, discount, tax, payment); `items` gives one row per
+ *       order line with its order's id, invoice number, date, status and customer. Rows are oldest
+ *       first and streamed straight from the database, so long ranges are fine. Unlike the reports,
+ *       every status is included unless `status` is given.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [orders, items]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportOutlet'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           example: completed,cancelled
+ *         description: Comma-separated order statuses
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Only this customer's orders
+ *       - in: query
+ *         name: phone
+ *         schema:
+ *           type: string
+ *         description: Only orders of the customer account with this phone number
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Customer name contains (case-insensitive) — also matches guest orders
+ *     responses:
+ *       200:
+ *         description: The export as a file download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/export/:kind',
+  auth,
+  requirePermission('reports:read'),
+  [
+    ...reportValidators,
+    query('format').optional().isIn(EXPORT_FORMATS).withMessage(`format must be one of ${EXPORT_FORMATS.join(', ')}`),
+    listValidator('status', ORDER_STATUSES),
+    query('userId').optional().isMongoId().withMessage('Invalid userId'),
+    query('phone').optional().isString().trim().notEmpty().withMessage('phone must be a non-empty string'),
+    query('customer').optional().isString().trim().notEmpty().withMessage('customer must be a non-empty string'),
+  ],
+  async (req, res) => {
+    if (!EXPORT_KINDS.includes(req.params.kind)) {
+      return res.status(404).json({ message: `Unknown export "${req.params.kind}". Use ${EXPORT_KINDS.join(' or ')}.` });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { match, timezone, range } = await reportScope(req);
+    const filter = { ...match };
+    if (req.query.status) filter.status = listFilter(req.query.status);
+    if (req.query.customer) filter.customerName = containsText(req.query.customer);
+
+    if (req.query.userId) filter.userId = req.query.userId;
+    if (req.query.phone) {
+      const user = await User.findOne({ phone: req.query.phone }).select('_id');
+      if (!user) return res.status(404).json({ message: 'No customer with that phone number.' });
+      if (filter.userId && String(filter.userId) !== String(user._id)) {
+        return res.status(400).json({ message: 'userId and phone name different customers.' });
+      }
+      filter.userId = user._id;
+    }
+
+    // First and last day covered: a date the client sent as-is, otherwise the day in the report timezone
+    // (`to` is exclusive, so its last covered instant is a millisecond earlier)
+    const localDay = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    const day = (sent, instant) => (sent && DATE_ONLY.test(sent) ? sent : localDay.format(instant)).replace(/-/g, '');
+    const first = day(req.query.from, range.from);
+    const last = day(req.query.to, new Date(range.to.getTime() - 1));
+    await streamOrderExport(res, filter, {
+      kind: req.params.kind,
+      format: req.query.format || 'csv',
+      filename: `${req.params.kind === 'items' ? 'order-items' : 'orders'}-${first}-${last}`,
+    });
+  }
+);
+
+module.exports = router;
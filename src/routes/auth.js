@@ -1,8 +1,12 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const Admin = require('../models/Admin');
+const { permissionsFor } = require('../permissions');
+const { OtpError, otpValidator, otpErrorResponse, requestOtp, verifyOtp } = require('../otp');
+const {
+  SessionError, refreshTokenValidators, clientInfo, startSession, refreshSession, endSession, endAllSessions,
+} = require('../sessions');
 
 const router = express.Router();
 
@@ -13,6 +17,37 @@ const router = express.Router();
  *   description: Admin authentication
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SessionTokens:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Access token for the Authorization header — short-lived (ACCESS_TOKEN_TTL, default 15 minutes)
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use; trade it at /refresh for a new pair before the access token expires (valid 30 days)
+ *     RefreshRequest:
+ *       type: object
+ *       required: [refreshToken]
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *     LogoutRequest:
+ *       type: object
+ *       required: [refreshToken]
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *         allDevices:
+ *           type: boolean
+ *           default: false
+ *           description: Also end every other session of the account and revoke all its access tokens
+ */
+
 /**
  * @swagger
  * /api/auth/login:
@@ -39,20 +74,32 @@ const router = express.Router();
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
- *                 admin:
- *                   type: object
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SessionTokens'
+ *                 - type: object
  *                   properties:
- *                     id: { type: string }
- *                     username: { type: string }
- *                     role: { type: string }
+ *                     admin:
+ *                       type: object
+ *                       properties:
+ *                         id: { type: string }
+ *                         username: { type: string }
+ *                         role: { type: string }
+ *                         outletId:
+ *                           type: string
+ *                           nullable: true
+ *                           description: Outlet the staff member works at; null for organisation-wide admins
+ *                         permissions:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                           example: [orders:read, orders:update, menu:stock]
+ *                           description: What the account's role allows right now — show or hide screens with it
  *       400:
  *         description: Validation error
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account disabled
  */
 router.post(
   '/login',
@@ -77,25 +124,146 @@ router.post(
     if (!isMatch) {
       return res.status(401).json({ message: 'Invalid credentials.' });
     }
+    if (!admin.isActive) {
+      return res.status(403).json({ message: 'This account has been disabled. Ask an admin to re-enable it.' });
+    }
 
-    const token = jwt.sign(
-      { id: admin._id, username: admin.username, role: admin.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const session = await startSession('admin', admin, clientInfo(req));
+    const permissions = await permissionsFor(admin.role);
 
     res.json({
-      token,
-      admin: { id: admin._id, username: admin.username, role: admin.role },
+      ...session,
+      admin: { id: admin._id, username: admin.username, role: admin.role, outletId: admin.outletId, permissions },
     });
   }
 );
 
 /**
  * @swagger
- * /api/auth/seed:
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Trade a refresh token for a new access token and refresh token
+ *     description: The refresh token is single-use. Presenting one that was already used ends that login everywhere.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SessionTokens'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Refresh token invalid, expired, already used or revoked — log in again
+ */
+router.post('/refresh', refreshTokenValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const { token, refreshToken } = await refreshSession('admin', req.body.refreshToken, clientInfo(req));
+    res.json({ token, refreshToken });
+  } catch (err) {
+    if (err instanceof SessionError) return res.status(401).json({ message: err.message });
+    throw err;
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out — end this session, or every session of the account with allDevices
+ *     description: |
+ *       Ending one session revokes its refresh token; its current access token stays usable until it
+ *       expires (minutes). allDevices also revokes every access token already issued to the account.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LogoutRequest'
+ *     responses:
+ *       200:
+ *         description: Logged out (also when the session had already ended)
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: allDevices was asked for with a refresh token that is no longer valid
+ */
+router.post('/logout', refreshTokenValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const allDevices = req.body.allDevices === true || req.body.allDevices === 'true';
+  const ended = await endSession('admin', req.body.refreshToken, { allDevices });
+  if (!ended && allDevices) {
+    return res.status(401).json({ message: 'Invalid or expired refresh token. Please log in again.' });
+  }
+  res.json({ message: allDevices ? 'Logged out of all devices.' : 'Logged out.' });
+});
+
+/**
+ * @swagger
+ * /api/auth/password/forgot:
+ *   post:
+ *     summary: Text a password reset code to a staff member's phone
+ *     description: |
+ *       The code goes to the phone on the account; accounts without one must ask an admin.
+ *       The answer is the same whether or not the username exists.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username]
+ *             properties:
+ *               username:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Code sent if the account exists and has a phone number
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Asked too soon or too often — see the Retry-After header (seconds)
+ */
+router.post(
+  '/password/forgot',
+  body('username').trim().notEmpty().withMessage('Username is required'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const admin = await Admin.findOne({ username: req.body.username });
+    if (admin?.phone) {
+      try {
+        await requestOtp(admin.phone, 'staff_reset');
+      } catch (err) {
+        if (err instanceof OtpError) return otpErrorResponse(res, err);
+        throw err;
+      }
+    }
+    res.json({ message: 'If the account exists and has a phone number, a reset code has been sent to it.' });
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/password/reset:
  *   post:
- *     summary: Seed an initial admin account (only works if no admins exist)
+ *     summary: Set a new staff password with a code from /api/auth/password/forgot
+ *     description: Logs the account out everywhere — log in again with the new password.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -103,47 +271,49 @@ router.post(
  *         application/json:
  *           schema:
  *             type: object
- *             required: [username, password, role]
+ *             required: [username, otp, newPassword]
  *             properties:
  *               username:
  *                 type: string
- *               password:
+ *               otp:
  *                 type: string
- *               role:
+ *                 example: "123456"
+ *               newPassword:
  *                 type: string
- *                 enum: [admin, kitchen]
+ *                 minLength: 6
  *     responses:
- *       201:
- *         description: Admin created
+ *       200:
+ *         description: Password changed
  *       400:
- *         description: Admins already exist or validation error
+ *         description: Validation error, or wrong, expired or used-up code
  */
 router.post(
-  '/seed',
+  '/password/reset',
   [
     body('username').trim().notEmpty().withMessage('Username is required'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('role').isIn(['admin', 'kitchen']).withMessage('Role must be admin or kitchen'),
+    otpValidator,
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
   ],
   async (req, res) => {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { username, otp, newPassword } = req.body;
+    const admin = await Admin.findOne({ username });
+    if (!admin?.phone) return res.status(400).json({ message: 'Invalid or expired code. Please request a new one.' });
 
-    const count = await Admin.countDocuments();
-    if (count > 0) {
-      return res.status(400).json({ message: 'Admins already exist. Use the admin panel to add more.' });
+    try {
+      await verifyOtp(admin.phone, 'staff_reset', otp);
+    } catch (err) {
+      if (err instanceof OtpError) return otpErrorResponse(res, err);
+      throw err;
     }
 
-    const { username, password, role } = req.body;
-    const passwordHash = await bcrypt.hash(password, 10);
-    const admin = await Admin.create({ username, passwordHash, role });
+    admin.passwordHash = await bcrypt.hash(newPassword, 10);
+    await admin.save();
+    await endAllSessions('admin', admin._id);
 
-    res.status(201).json({
-      message: 'Admin created successfully.',
-      admin: { id: admin._id, username: admin.username, role: admin.role },
-    });
+    res.json({ message: 'Password changed. Please log in with your new password.' });
   }
 );
 
@@ -2,7 +2,12 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Cart = require('../models/Cart');
 const MenuItem = require('../models/MenuItem');
+const Category = require('../models/Category');
+const Outlet = require('../models/Outlet');
 const { userAuth } = require('../middleware/auth');
+const { CouponError, evaluateCoupon } = require('../promotions');
+const { priceLines } = require('../billing');
+const { scheduleError } = require('../availability');
 
 const router = express.Router();
 
@@ -17,6 +22,14 @@ const router = express.Router();
  * @swagger
  * components:
  *   schemas:
+ *     ModifierSelection:
+ *       type: object
+ *       required: [groupId, optionId]
+ *       properties:
+ *         groupId:
+ *           type: string
+ *         optionId:
+ *           type: string
  *     CartItem:
  *       type: object
  *       properties:
@@ -24,15 +37,32 @@ const router = express.Router();
  *           type: string
  *         quantity:
  *           type: integer
+ *         modifiers:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ModifierSelection'
  *     CartItemPopulated:
  *       type: object
  *       properties:
+ *         lineId:
+ *           type: string
+ *           description: Identifies this cart line (the same item can appear with different modifiers)
  *         menuItem:
  *           $ref: '#/components/schemas/MenuItem'
  *         quantity:
  *           type: integer
+ *         modifiers:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderModifier'
+ *         unitPrice:
+ *           type: number
+ *           description: Item price including modifier deltas
  *         lineTotal:
  *           type: number
+ *         error:
+ *           type: string
+ *           description: Set when the line's customizations are no longer valid — excluded from totals
  *     Cart:
  *       type: object
  *       properties:
@@ -40,12 +70,45 @@ const router = express.Router();
  *           type: string
  *         userId:
  *           type: string
+ *         outletId:
+ *           type: string
+ *           nullable: true
+ *           description: Outlet of the items in the cart (set by the first item, cleared when emptied)
  *         items:
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/CartItemPopulated'
+ *         subtotal:
+ *           type: number
+ *           description: Item total before discount
+ *         coupon:
+ *           type: object
+ *           nullable: true
+ *           description: Applied coupon and the discount it gives on the current cart
+ *           properties:
+ *             code:
+ *               type: string
+ *             description:
+ *               type: string
+ *             discount:
+ *               type: number
+ *         couponError:
+ *           type: string
+ *           nullable: true
+ *           description: Why the applied coupon no longer gives a discount (e.g. below minimum order value)
+ *         taxes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TaxLine'
+ *         taxTotal:
+ *           type: number
+ *         serviceCharge:
+ *           type: number
+ *         roundOff:
+ *           type: number
  *         grandTotal:
  *           type: number
+ *           description: What the order would cost now — subtotal − discount + exclusive taxes + service charge ± round-off
  *         itemCount:
  *           type: integer
  */
@@ -53,28 +116,95 @@ const router = express.Router();
 // Helper: build populated cart response
 const buildCartResponse = async (cart) => {
   const populated = [];
-  let grandTotal = 0;
+  const lines = []; // priced lines for the coupon check and tax preview
   let itemCount = 0;
 
   for (const item of cart.items) {
     const menuItem = await MenuItem.findById(item.menuItemId);
     if (!menuItem) continue; // item was deleted from menu — skip silently
-    const lineTotal = menuItem.price * item.quantity;
-    grandTotal += lineTotal;
+
+    const priced = menuItem.applyModifiers(item.modifiers);
+    if (priced.error) {
+      // Menu customizations changed since this was added — keep the line so the user can fix it
+      populated.push({ lineId: item._id, menuItem, quantity: item.quantity, modifiers: [], error: priced.error });
+      continue;
+    }
+
+    const lineTotal = priced.unitPrice * item.quantity;
     itemCount += item.quantity;
-    populated.push({ menuItem, quantity: item.quantity, lineTotal });
+    lines.push({ menuItemId: menuItem._id, category: menuItem.category, lineTotal });
+    populated.push({
+      lineId: item._id,
+      menuItem,
+      quantity: item.quantity,
+      modifiers: priced.modifiers,
+      unitPrice: priced.unitPrice,
+      lineTotal,
+    });
+  }
+
+  // Re-check the applied coupon against the cart as it is now; it stays applied even if it stops qualifying
+  let coupon = null;
+  let couponError = null;
+  let discountApplies;
+  if (cart.couponCode) {
+    try {
+      const result = await evaluateCoupon(cart.couponCode, {
+        outletId: cart.outletId,
+        userId: cart.userId,
+        lines: lines,
+      });
+      coupon = { code: result.coupon.code, description: result.coupon.description, discount: result.discount };
+      discountApplies = (line) => result.coupon.appliesTo(line);
+    } catch (err) {
+      if (!(err instanceof CouponError)) throw err;
+      couponError = err.message;
+    }
   }
 
+  const charges = await priceLines(lines, { outletId: cart.outletId, discount: coupon ? coupon.discount : 0, discountApplies });
+
   return {
     _id: cart._id,
     userId: cart.userId,
+    outletId: cart.outletId,
     items: populated,
-    grandTotal: parseFloat(grandTotal.toFixed(2)),
+    subtotal: charges.subtotal,
+    coupon,
+    couponError,
+    taxes: charges.taxes,
+    taxTotal: charges.taxTotal,
+    serviceCharge: charges.serviceCharge,
+    roundOff: charges.roundOff,
+    grandTotal: charges.totalAmount,
     itemCount,
     updatedAt: cart.updatedAt,
   };
 };
 
+// Helper: order-insensitive key for a modifier selection, used to merge identical lines
+const modifierKey = (modifiers = []) =>
+  modifiers.map((m) => `${m.groupId}:${m.optionId}`).sort().join('|');
+
+// Helper: portions of a menu item across all cart lines (different modifiers share the same stock)
+const cartQuantityOf = (cart, menuItemId, exceptLine = null) =>
+  cart.items
+    .filter((i) => i.menuItemId.toString() === menuItemId.toString() && i !== exceptLine)
+    .reduce((sum, i) => sum + i.quantity, 0);
+
+// Helper: find a cart line by its lineId, or by menuItemId when that item has a single line
+const findCartLine = (cart, id) => {
+  const byLine = cart.items.find((i) => i._id.toString() === id);
+  if (byLine) return { line: byLine };
+
+  const byItem = cart.items.filter((i) => i.menuItemId.toString() === id);
+  if (byItem.length > 1) {
+    return { error: 'This item is in your cart with different customizations. Use the lineId instead.', status: 400 };
+  }
+  if (byItem.length === 0) return { error: 'Item not found in cart.', status: 404 };
+  return { line: byItem[0] };
+};
+
 /**
  * @swagger
  * /api/cart:
@@ -104,6 +234,7 @@ router.get('/', userAuth, async (req, res) => {
  * /api/cart/items:
  *   post:
  *     summary: Add an item to the cart (or increase quantity if already present)
+ *     description: A cart holds items from one outlet only; clear it before adding from another outlet.
  *     tags: [Cart]
  *     security:
  *       - userAuth: []
@@ -121,6 +252,11 @@ router.get('/', userAuth, async (req, res) => {
  *                 type: integer
  *                 minimum: 1
  *                 example: 2
+ *               modifiers:
+ *                 type: array
+ *                 description: Chosen options from the item's modifierGroups. Same item + same modifiers merges into one line.
+ *                 items:
+ *                   $ref: '#/components/schemas/ModifierSelection'
  *     responses:
  *       200:
  *         description: Updated cart
@@ -129,7 +265,9 @@ router.get('/', userAuth, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Cart'
  *       400:
- *         description: Validation error or item unavailable
+ *         description: Validation error, item unavailable or outside its availability schedule, not enough stock or invalid customization
+ *       409:
+ *         description: Cart already holds items from another outlet
  *       401:
  *         description: Unauthorized
  */
@@ -139,32 +277,57 @@ router.post(
   [
     body('menuItemId').notEmpty().withMessage('menuItemId is required'),
     body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('modifiers').optional().isArray().withMessage('modifiers must be an array'),
+    body('modifiers.*.groupId').isMongoId().withMessage('Each modifier needs a valid groupId'),
+    body('modifiers.*.optionId').isMongoId().withMessage('Each modifier needs a valid optionId'),
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { menuItemId, quantity } = req.body;
+    const { menuItemId, quantity, modifiers = [] } = req.body;
 
     const menuItem = await MenuItem.findById(menuItemId);
     if (!menuItem) return res.status(404).json({ message: 'Menu item not found.' });
-    if (!menuItem.isAvailable) {
+    const categories = await Category.byName(menuItem.outletId);
+    // Items in a switched-off category are hidden from the menu, so they can't be added either
+    if (!menuItem.isAvailable || !categories.get(menuItem.category)?.isActive) {
       return res.status(400).json({ message: `"${menuItem.name}" is currently unavailable.` });
     }
+    const outlet = await Outlet.findById(menuItem.outletId);
+    if (outlet) {
+      const notNow = scheduleError(menuItem, categories.get(menuItem.category), outlet.timezone);
+      if (notNow) return res.status(400).json({ message: notNow });
+    }
+
+    const priced = menuItem.applyModifiers(modifiers);
+    if (priced.error) return res.status(400).json({ message: priced.error });
 
     let cart = await Cart.findOne({ userId: req.user.id });
     if (!cart) {
       cart = await Cart.create({ userId: req.user.id, items: [] });
     }
 
+    const stockError = menuItem.stockError(cartQuantityOf(cart, menuItem._id) + quantity);
+    if (stockError) return res.status(400).json({ message: stockError });
+
+    if (cart.items.length === 0) {
+      cart.outletId = menuItem.outletId;
+    } else if (String(cart.outletId) !== String(menuItem.outletId)) {
+      return res.status(409).json({
+        message: 'Your cart has items from another outlet. Clear it or place that order first.',
+      });
+    }
+
+    const key = modifierKey(modifiers);
     const existing = cart.items.find(
-      (i) => i.menuItemId.toString() === menuItemId
+      (i) => i.menuItemId.toString() === menuItemId && modifierKey(i.modifiers) === key
     );
 
     if (existing) {
       existing.quantity += quantity;
     } else {
-      cart.items.push({ menuItemId, quantity });
+      cart.items.push({ menuItemId, quantity, modifiers });
     }
 
     await cart.save();
@@ -174,18 +337,19 @@ router.post(
 
 /**
  * @swagger
- * /api/cart/items/{menuItemId}:
+ * /api/cart/items/{lineId}:
  *   put:
- *     summary: Set the quantity of a specific item in the cart
+ *     summary: Set the quantity of a specific cart line
  *     tags: [Cart]
  *     security:
  *       - userAuth: []
  *     parameters:
  *       - in: path
- *         name: menuItemId
+ *         name: lineId
  *         required: true
  *         schema:
  *           type: string
+ *         description: The cart line's lineId, or the menuItemId if that item has only one line
  *     requestBody:
  *       required: true
  *       content:
@@ -205,13 +369,15 @@ router.post(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Validation error, not enough stock, or menuItemId is ambiguous (several lines with different modifiers)
  *       404:
  *         description: Item not in cart
  *       401:
  *         description: Unauthorized
  */
 router.put(
-  '/items/:menuItemId',
+  '/items/:lineId',
   userAuth,
   [body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')],
   async (req, res) => {
@@ -221,14 +387,14 @@ router.put(
     const cart = await Cart.findOne({ userId: req.user.id });
     if (!cart) return res.status(404).json({ message: 'Cart not found.' });
 
-    const item = cart.items.find(
-      (i) => i.menuItemId.toString() === req.params.menuItemId
-    );
-    if (!item) {
-      return res.status(404).json({ message: 'Item not found in cart. Add it first.' });
-    }
+    const { line, error, status } = findCartLine(cart, req.params.lineId);
+    if (error) return res.status(status).json({ message: error });
+
+    const menuItem = await MenuItem.findById(line.menuItemId);
+    const stockError = menuItem?.stockError(cartQuantityOf(cart, line.menuItemId, line) + req.body.quantity);
+    if (stockError) return res.status(400).json({ message: stockError });
 
-    item.quantity = req.body.quantity;
+    line.quantity = req.body.quantity;
     await cart.save();
     res.json(await buildCartResponse(cart));
   }
@@ -236,18 +402,19 @@ router.put(
 
 /**
  * @swagger
- * /api/cart/items/{menuItemId}:
+ * /api/cart/items/{lineId}:
  *   delete:
- *     summary: Remove a specific item from the cart
+ *     summary: Remove a specific line from the cart
  *     tags: [Cart]
  *     security:
  *       - userAuth: []
  *     parameters:
  *       - in: path
- *         name: menuItemId
+ *         name: lineId
  *         required: true
  *         schema:
  *           type: string
+ *         description: The cart line's lineId, or the menuItemId if that item has only one line
  *     responses:
  *       200:
  *         description: Updated cart after removal
@@ -260,19 +427,110 @@ router.put(
  *       401:
  *         description: Unauthorized
  */
-router.delete('/items/:menuItemId', userAuth, async (req, res) => {
+router.delete('/items/:lineId', userAuth, async (req, res) => {
   const cart = await Cart.findOne({ userId: req.user.id });
   if (!cart) return res.status(404).json({ message: 'Cart not found.' });
 
-  const before = cart.items.length;
-  cart.items = cart.items.filter(
-    (i) => i.menuItemId.toString() !== req.params.menuItemId
-  );
+  const { line, error, status } = findCartLine(cart, req.params.lineId);
+  if (error) return res.status(status).json({ message: error });
+
+  cart.items.pull(line._id);
+  if (cart.items.length === 0) {
+    cart.outletId = null;
+    cart.couponCode = null;
+  }
+
+  await cart.save();
+  res.json(await buildCartResponse(cart));
+});
+
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   post:
+ *     summary: Apply a coupon code to the cart and preview the discount
+ *     tags: [Cart]
+ *     description: |
+ *       The code is checked against the current cart (outlet, validity window, usage limits,
+ *       minimum order value, item/category restrictions) and only saved if it gives a discount.
+ *       It is re-checked on every cart read and redeemed when the order is placed.
+ *     security:
+ *       - userAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: LUNCH20
+ *     responses:
+ *       200:
+ *         description: Cart with the coupon applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Cart is empty, or the code is invalid or does not apply
+ *       404:
+ *         description: Cart not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/coupon',
+  userAuth,
+  [body('code').isString().trim().notEmpty().withMessage('code is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const cart = await Cart.findOne({ userId: req.user.id });
+    if (!cart) return res.status(404).json({ message: 'Cart not found.' });
+    if (cart.items.length === 0) return res.status(400).json({ message: 'Your cart is empty.' });
 
-  if (cart.items.length === before) {
-    return res.status(404).json({ message: 'Item not found in cart.' });
+    const previous = cart.couponCode;
+    cart.couponCode = req.body.code.toUpperCase();
+    const response = await buildCartResponse(cart);
+    if (response.couponError) {
+      cart.couponCode = previous;
+      return res.status(400).json({ message: response.couponError });
+    }
+
+    await cart.save();
+    res.json(response);
   }
+);
+
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   delete:
+ *     summary: Remove the applied coupon from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - userAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart without a coupon
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: Cart not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/coupon', userAuth, async (req, res) => {
+  const cart = await Cart.findOne({ userId: req.user.id });
+  if (!cart) return res.status(404).json({ message: 'Cart not found.' });
 
+  cart.couponCode = null;
   await cart.save();
   res.json(await buildCartResponse(cart));
 });
@@ -296,6 +554,8 @@ router.delete('/', userAuth, async (req, res) => {
   if (!cart) return res.status(404).json({ message: 'Cart not found.' });
 
   cart.items = [];
+  cart.outletId = null;
+  cart.couponCode = null;
   await cart.save();
   res.json({ message: 'Cart cleared.', grandTotal: 0, itemCount: 0, items: [] });
 });
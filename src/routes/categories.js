@@ -0,0 +1,297 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const MenuItem = require('../models/MenuItem');
+const Coupon = require('../models/Coupon');
+const TaxRule = require('../models/TaxRule');
+const { auth, requirePermission } = require('../middleware/auth');
+const { resolveOutlet, staffOutletFilter, staffWriteOutletId } = require('../middleware/outlet');
+const { availabilityValidators } = require('../availability');
+const { CATEGORY_STATIONS, DEFAULT_STATION } = require('../config/stations');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: Menu categories (public read, admin write)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         outletId:
+ *           type: string
+ *           nullable: true
+ *           description: Outlet the category belongs to (null = shared by every outlet)
+ *         name:
+ *           type: string
+ *           example: Breakfast
+ *         displayOrder:
+ *           type: integer
+ *           description: Lower comes first
+ *         icon:
+ *           type: string
+ *           nullable: true
+ *           description: Emoji or image URL
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive categories and their items are hidden from customers
+ *         station:
+ *           type: string
+ *           example: drinks
+ *           description: Kitchen station that prepares its items unless an item sets its own. Defaults to "drinks" for Drink/Beverage, else "main".
+ *         availability:
+ *           $ref: '#/components/schemas/Availability'
+ */
+
+const categoryValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('displayOrder').optional().isInt().withMessage('displayOrder must be an integer'),
+    body('icon').optional({ values: 'null' }).isString().trim(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('station').optional().isString().trim().notEmpty().withMessage('Station must be a non-empty string'),
+    ...availabilityValidators,
+  ];
+};
+
+const EDITABLE = ['name', 'displayOrder', 'icon', 'isActive', 'station', 'availability'];
+
+// ─── Helper: another category an outlet's menu would see under the same name ──
+// Shared categories clash with any outlet's; an outlet's clash with its own and the shared ones
+const nameTaken = (name, outletId, exceptId = null) => {
+  const filter = { name, ...(exceptId ? { _id: { $ne: exceptId } } : {}) };
+  if (outletId) filter.outletId = { $in: [outletId, null] };
+  return Category.exists(filter);
+};
+
+// ─── Helper: where items (and coupon/tax restrictions) can refer to a category ─
+const categoryScope = (category) => (category.outletId ? { outletId: category.outletId } : {});
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Active categories for an outlet's menu, in display order (public)
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: outletId
+ *         schema:
+ *           type: string
+ *         description: Outlet to show (optional when only one outlet is active; X-Outlet-Id header also accepted)
+ *     responses:
+ *       200:
+ *         description: Categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: outletId missing while several outlets are active
+ *       404:
+ *         description: Outlet not found
+ */
+router.get('/', resolveOutlet, async (req, res) => {
+  res.json(await Category.availableTo(req.outlet._id, { isActive: true }));
+});
+
+/**
+ * @swagger
+ * /api/categories/all:
+ *   get:
+ *     summary: All categories including inactive (requires menu:write)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: outletId
+ *         schema:
+ *           type: string
+ *         description: Org-wide admins only — one outlet's categories plus the shared ones
+ *     responses:
+ *       200:
+ *         description: Categories in display order — outlet admins see their outlet's and the shared ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Category'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/all', auth, requirePermission('menu:write'), async (req, res) => {
+  const { outletId } = staffOutletFilter(req);
+  const categories = outletId
+    ? await Category.availableTo(outletId)
+    : await Category.find().sort({ displayOrder: 1, name: 1 });
+  res.json(categories);
+});
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Create a category (requires menu:write)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Category'
+ *     responses:
+ *       201:
+ *         description: Category created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Name already used by a category the outlet can see
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', auth, requirePermission('menu:write'), categoryValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { outletId, error } = await staffWriteOutletId(req);
+  if (error) return res.status(400).json({ message: error });
+
+  if (await nameTaken(req.body.name, outletId)) {
+    return res.status(409).json({ message: `Category "${req.body.name}" already exists.` });
+  }
+
+  const category = await Category.create({
+    outletId,
+    station: CATEGORY_STATIONS[req.body.name] || DEFAULT_STATION,
+    ...Object.fromEntries(Object.entries(req.body).filter(([k]) => EDITABLE.includes(k))),
+  });
+  res.status(201).json(category);
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   put:
+ *     summary: Update a category (requires menu:write) — a rename carries over to its menu items, coupons and tax rules
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Category'
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Name already used by a category the outlet can see
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', auth, requirePermission('menu:write'), categoryValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const category = await Category.findOne({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!category) return res.status(404).json({ message: 'Category not found.' });
+
+  const oldName = category.name;
+  const renamed = req.body.name !== undefined && req.body.name !== oldName;
+  if (renamed && await nameTaken(req.body.name, category.outletId, category._id)) {
+    return res.status(409).json({ message: `Category "${req.body.name}" already exists.` });
+  }
+
+  // Older categories have no station of their own and are routed by name — keep that station through the rename
+  if (renamed && category.station == null) category.station = CATEGORY_STATIONS[oldName] || DEFAULT_STATION;
+  for (const [k, v] of Object.entries(req.body)) {
+    if (EDITABLE.includes(k)) category[k] = v;
+  }
+  await category.save();
+
+  if (renamed) {
+    const scope = categoryScope(category);
+    await MenuItem.updateMany({ ...scope, category: oldName }, { $set: { category: category.name } });
+    for (const Model of [Coupon, TaxRule]) {
+      await Model.updateMany({ ...scope, categories: oldName }, { $set: { 'categories.$': category.name } });
+    }
+  }
+
+  res.json(category);
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: Delete a category that no menu item uses (requires menu:write)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Menu items still use the category — move them or deactivate it instead
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', auth, requirePermission('menu:write'), async (req, res) => {
+  const category = await Category.findOne({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!category) return res.status(404).json({ message: 'Category not found.' });
+
+  const inUse = await MenuItem.countDocuments({ ...categoryScope(category), category: category.name });
+  if (inUse) {
+    return res.status(409).json({
+      message: `${inUse} menu item(s) are in "${category.name}". Move them to another category or deactivate it instead.`,
+    });
+  }
+
+  await category.deleteOne();
+  res.json({ message: 'Category deleted.' });
+});
+
+module.exports = router;
@@ -0,0 +1,346 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const { auth, requirePermission } = require('../middleware/auth');
+const { staffOutletFilter, staffWriteOutletId } = require('../middleware/outlet');
+const { pageValidators, paginate } = require('../listing');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Coupons
+ *   description: Promo codes for checkout (coupons:write permission)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         outletId:
+ *           type: string
+ *           nullable: true
+ *           description: Outlet the code works at (null = every outlet)
+ *         code:
+ *           type: string
+ *           example: LUNCH20
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percent, flat]
+ *         value:
+ *           type: number
+ *           example: 20
+ *         maxDiscount:
+ *           type: number
+ *           nullable: true
+ *           description: Cap for percent coupons
+ *         minOrderValue:
+ *           type: number
+ *           description: Order subtotal needed to use the code
+ *         menuItemIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only these items are discounted (with categories; both empty = whole order)
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *         usageLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Total redemptions (null = unlimited)
+ *         perUserLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Redemptions per customer account (null = unlimited; requires login)
+ *         usedCount:
+ *           type: integer
+ *           readOnly: true
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ */
+
+const couponValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('code').isString().trim().matches(/^[A-Za-z0-9_-]{3,32}$/).withMessage('code must be 3-32 letters, digits, - or _'),
+    field('type').isIn(['percent', 'flat']).withMessage('type must be percent or flat'),
+    field('value').isFloat({ min: 0 }).withMessage('value must be a non-negative number'),
+    body('description').optional().isString().trim(),
+    body('maxDiscount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('maxDiscount must be a non-negative number'),
+    body('minOrderValue').optional().isFloat({ min: 0 }).withMessage('minOrderValue must be a non-negative number'),
+    body('menuItemIds').optional().isArray().withMessage('menuItemIds must be an array'),
+    body('menuItemIds.*').isMongoId().withMessage('menuItemIds entries must be valid IDs'),
+    body('categories').optional().isArray().withMessage('categories must be an array'),
+    body('categories.*').isString().trim().notEmpty().withMessage('categories entries must be non-empty strings'),
+    body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('usageLimit must be a positive integer'),
+    body('perUserLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('perUserLimit must be a positive integer'),
+    body('validFrom').optional({ values: 'null' }).isISO8601().withMessage('validFrom must be an ISO 8601 date'),
+    body('validUntil').optional({ values: 'null' }).isISO8601().withMessage('validUntil must be an ISO 8601 date'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ];
+};
+
+const EDITABLE = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minOrderValue', 'menuItemIds', 'categories',
+  'usageLimit', 'perUserLimit', 'validFrom', 'validUntil', 'isActive',
+];
+
+const COUPON_SORTS = { createdAt: ['createdAt'], code: ['code'] };
+
+// ─── Helper: checks shared by create and update, run on the merged coupon ─────
+const couponProblem = (coupon) => {
+  if (coupon.type === 'percent' && coupon.value > 100) return 'A percent coupon cannot exceed 100.';
+  if (coupon.validFrom && coupon.validUntil && coupon.validUntil <= coupon.validFrom) {
+    return 'validUntil must be after validFrom.';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: List coupons (requires coupons:write)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, code, -code]
+ *           default: -createdAt
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: Page of coupons (default page size 50) — outlet admins see their outlet's codes and global ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid filters or cursor
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  auth,
+  requirePermission('coupons:write'),
+  [
+    ...pageValidators(COUPON_SORTS, '-createdAt'),
+    query('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { outletId } = staffOutletFilter(req);
+    const filter = outletId ? { outletId: { $in: [outletId, null] } } : {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    res.json(await paginate(Coupon, filter, req.query, { sorts: COUPON_SORTS, defaultSort: '-createdAt', defaultLimit: 50 }));
+  }
+);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get a coupon (requires coupons:write)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       404:
+ *         description: Coupon not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', auth, requirePermission('coupons:write'), async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon || (coupon.outletId && req.admin.outletId && String(coupon.outletId) !== String(req.admin.outletId))) {
+    return res.status(404).json({ message: 'Coupon not found.' });
+  }
+  res.json(coupon);
+});
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   post:
+ *     summary: Create a coupon (requires coupons:write)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Code already exists
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', auth, requirePermission('coupons:write'), couponValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { outletId, error } = await staffWriteOutletId(req);
+  if (error) return res.status(400).json({ message: error });
+
+  const coupon = new Coupon({
+    outletId,
+    ...Object.fromEntries(Object.entries(req.body).filter(([k]) => EDITABLE.includes(k))),
+  });
+
+  const problem = couponProblem(coupon);
+  if (problem) return res.status(400).json({ message: problem });
+  if (await Coupon.exists({ code: coupon.code })) {
+    return res.status(409).json({ message: `Coupon code ${coupon.code} already exists.` });
+  }
+
+  await coupon.save();
+  res.status(201).json(coupon);
+});
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   put:
+ *     summary: Update a coupon (requires coupons:write) — orders already placed keep their discount
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Code already exists
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', auth, requirePermission('coupons:write'), couponValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  // Outlet admins may only edit their own outlet's coupons, not global ones
+  const coupon = await Coupon.findOne({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!coupon) return res.status(404).json({ message: 'Coupon not found.' });
+
+  for (const [k, v] of Object.entries(req.body)) {
+    if (EDITABLE.includes(k)) coupon[k] = v;
+  }
+
+  const problem = couponProblem(coupon);
+  if (problem) return res.status(400).json({ message: problem });
+  if (coupon.isModified('code') && await Coupon.exists({ _id: { $ne: coupon._id }, code: coupon.code })) {
+    return res.status(409).json({ message: `Coupon code ${coupon.code} already exists.` });
+  }
+
+  await coupon.save();
+  res.json(coupon);
+});
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   delete:
+ *     summary: Delete a coupon (requires coupons:write) — orders already placed keep their discount
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *       404:
+ *         description: Coupon not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', auth, requirePermission('coupons:write'), async (req, res) => {
+  const coupon = await Coupon.findOneAndDelete({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!coupon) return res.status(404).json({ message: 'Coupon not found.' });
+  res.json({ message: 'Coupon deleted.' });
+});
+
+module.exports = router;
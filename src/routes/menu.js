@@ -1,10 +1,57 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
 const MenuItem = require('../models/MenuItem');
-const { auth, requireRole } = require('../middleware/auth');
+const Category = require('../models/Category');
+const Outlet = require('../models/Outlet');
+const { auth, requirePermission } = require('../middleware/auth');
+const { resolveOutlet, staffOutletFilter, staffTargetOutlet } = require('../middleware/outlet');
+const { notifyStockLevel } = require('../inventory');
+const { availabilityValidators, itemAvailability } = require('../availability');
+const { pageValidators, paginate, numberRange, listFilter, listValidator } = require('../listing');
+const { ImageError, IMAGE_TYPES, MAX_IMAGE_BYTES, storeMenuImage, removeImages } = require('../images');
+const {
+  MenuImportError,
+  exportMenu,
+  menuToCsv,
+  readImportRows,
+  planMenuImport,
+  applyMenuImport,
+} = require('../menu');
 
 const router = express.Router();
 
+// Shared by POST and PUT — modifierGroups is always optional and replaced as a whole
+const modifierGroupValidators = [
+  body('modifierGroups').optional().isArray().withMessage('modifierGroups must be an array'),
+  body('modifierGroups.*.name').trim().notEmpty().withMessage('Each modifier group needs a name'),
+  body('modifierGroups.*.selection').optional().isIn(['single', 'multiple']).withMessage('selection must be single or multiple'),
+  body('modifierGroups.*.required').optional().isBoolean().withMessage('required must be a boolean'),
+  body('modifierGroups.*.maxSelect').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('maxSelect must be a positive integer'),
+  body('modifierGroups.*.options').isArray({ min: 1 }).withMessage('Each modifier group needs at least one option'),
+  body('modifierGroups.*.options.*.name').trim().notEmpty().withMessage('Each modifier option needs a name'),
+  body('modifierGroups.*.options.*.priceDelta').optional().isFloat().withMessage('priceDelta must be a number'),
+  body('modifierGroups.*.options.*.timeDelta').optional().isInt({ min: 0 }).withMessage('timeDelta must be a non-negative integer'),
+];
+
+// Shared by POST and PUT — null stops tracking stock for the item
+const stockValidators = [
+  body('stock').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('stock must be a non-negative integer or null'),
+  body('lowStockThreshold').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('lowStockThreshold must be a non-negative integer or null'),
+];
+
+const DIETARY_TAGS = MenuItem.schema.path('dietaryTags').embeddedSchemaType.enumValues;
+const ALLERGENS = MenuItem.schema.path('allergens').embeddedSchemaType.enumValues;
+
+// Shared by POST and PUT — tag and allergen lists are replaced as a whole
+const dietaryValidators = [
+  body('dietaryTags').optional().isArray().withMessage('dietaryTags must be an array'),
+  body('dietaryTags.*').isIn(DIETARY_TAGS).withMessage(`dietaryTags entries must be one of ${DIETARY_TAGS.join(', ')}`),
+  body('allergens').optional().isArray().withMessage('allergens must be an array'),
+  body('allergens.*').isIn(ALLERGENS).withMessage(`allergens entries must be one of ${ALLERGENS.join(', ')}`),
+  body('spiceLevel').optional({ values: 'null' }).isInt({ min: 0, max: 3 }).withMessage('spiceLevel must be 0 to 3 or null'),
+];
+
 /**
  * @swagger
  * tags:
@@ -16,11 +63,59 @@ const router = express.Router();
  * @swagger
  * components:
  *   schemas:
+ *     ModifierOption:
+ *       type: object
+ *       required: [name]
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Extra cheese
+ *         priceDelta:
+ *           type: number
+ *           example: 20
+ *         timeDelta:
+ *           type: integer
+ *           description: Extra prep minutes
+ *           example: 2
+ *         isAvailable:
+ *           type: boolean
+ *     ModifierGroup:
+ *       type: object
+ *       required: [name, options]
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Add-ons
+ *         selection:
+ *           type: string
+ *           enum: [single, multiple]
+ *           default: single
+ *         required:
+ *           type: boolean
+ *           default: false
+ *         maxSelect:
+ *           type: integer
+ *           nullable: true
+ *           description: Max options for multiple-choice groups (null = no limit)
+ *         options:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ModifierOption'
  *     MenuItem:
  *       type: object
  *       properties:
  *         _id:
  *           type: string
+ *         outletId:
+ *           type: string
+ *         sku:
+ *           type: string
+ *           nullable: true
+ *           description: Stable key for bulk import/export, unique within the outlet
  *         name:
  *           type: string
  *         description:
@@ -29,87 +124,599 @@ const router = express.Router();
  *           type: number
  *         category:
  *           type: string
- *           enum: [Main, Snack, Drink, Beverage, Dessert]
+ *           description: Name of one of the outlet's categories (see /api/categories)
  *         timeTaken:
  *           type: integer
  *           nullable: true
  *           description: Estimated preparation time in minutes
  *           example: 10
+ *         station:
+ *           type: string
+ *           nullable: true
+ *           description: Kitchen station override (defaults to the category's station)
+ *           example: drinks
+ *         modifierGroups:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ModifierGroup'
+ *         dietaryTags:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [veg, non-veg, egg, vegan, jain, gluten-free]
+ *         allergens:
+ *           type: array
+ *           description: Allergens the dish contains
+ *           items:
+ *             type: string
+ *             enum: [gluten, milk, eggs, peanuts, tree-nuts, soy, sesame, mustard, fish, crustaceans, molluscs, celery, lupin, sulphites]
+ *         spiceLevel:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 3
+ *           nullable: true
+ *           description: 0 = not spicy … 3 = very hot (null = not stated)
  *         isAvailable:
  *           type: boolean
+ *           description: Manual switch — items with stock 0 are hidden from the public menu as well
+ *         stock:
+ *           type: integer
+ *           nullable: true
+ *           description: Portions left (null = not tracked)
+ *         lowStockThreshold:
+ *           type: integer
+ *           nullable: true
+ *           description: Kitchen gets a stock:low alert at or below this (null = LOW_STOCK_THRESHOLD, default 5)
  *         imageUrl:
  *           type: string
+ *           description: Photo URL — filled in by POST /api/menu/{id}/image, or any pasted link
+ *         thumbnailUrl:
+ *           type: string
+ *           nullable: true
+ *           description: 320×320 thumbnail of an uploaded photo (null for pasted links)
+ *         availability:
+ *           $ref: '#/components/schemas/Availability'
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     Availability:
+ *       type: object
+ *       nullable: true
+ *       description: |
+ *         When customers can order, in the outlet's timezone; null = always. No windows means all day;
+ *         a window ending at or before its start runs past midnight. Blackout dates close the whole day.
+ *       properties:
+ *         windows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               days:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                   minimum: 0
+ *                   maximum: 6
+ *                 description: 0 = Sunday … 6 = Saturday (default every day)
+ *               start:
+ *                 type: string
+ *                 example: "07:00"
+ *               end:
+ *                 type: string
+ *                 example: "11:00"
+ *         blackoutDates:
+ *           type: array
+ *           items:
+ *             type: string
+ *             example: "2025-01-26"
+ *     ScheduledMenuItem:
+ *       allOf:
+ *         - $ref: '#/components/schemas/MenuItem'
+ *         - type: object
+ *           properties:
+ *             availableNow:
+ *               type: boolean
+ *               description: Inside both the item's and its category's availability schedule
+ *             nextAvailableAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: When the schedule next opens (null while available, or if not within 14 days)
+ */
+
+// Listing sorts (category = by category, then name) and filters shared by GET / and GET /all
+const MENU_SORTS = { category: ['category', 'name'], name: ['name'], price: ['price'], createdAt: ['createdAt'] };
+
+const menuListValidators = [
+  ...pageValidators(MENU_SORTS, 'category'),
+  query('category').optional().isString().trim().notEmpty().withMessage('category must be a non-empty string'),
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('minPrice must be a non-negative number'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('maxPrice must be a non-negative number'),
+  query('q').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('q must be 1 to 100 characters'),
+  listValidator('tags', DIETARY_TAGS),
+  listValidator('excludeTags', DIETARY_TAGS),
+  listValidator('allergens', ALLERGENS),
+  listValidator('excludeAllergens', ALLERGENS),
+];
+
+const menuListFilter = (req, base) => {
+  const filter = { ...base };
+  if (req.query.q) filter.$text = { $search: req.query.q };
+  if (req.query.category) filter.category = listFilter(req.query.category);
+  const price = numberRange(req.query.minPrice, req.query.maxPrice);
+  if (price) filter.price = price;
+  // Included tags/allergens must all be on the item; excluded ones must all be absent
+  for (const [field, include, exclude] of [['dietaryTags', 'tags', 'excludeTags'], ['allergens', 'allergens', 'excludeAllergens']]) {
+    if (req.query[include]) filter[field] = { $all: listFilter(req.query[include]).$in };
+    if (req.query[exclude]) filter[field] = { ...filter[field], $nin: listFilter(req.query[exclude]).$in };
+  }
+  return filter;
+};
+
+const skuValidator = body('sku').optional({ values: 'null' }).isString().trim().notEmpty().withMessage('sku must be a non-empty string');
+
+// POST /api/menu rules — bulk import checks every row with these too
+const menuItemValidators = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
+  body('category').isString().trim().notEmpty().withMessage('Category is required'),
+  body('timeTaken')
+    .notEmpty().withMessage('timeTaken (prep time in minutes) is required')
+    .isInt({ min: 1 }).withMessage('timeTaken must be a positive integer (minutes)'),
+  body('station').optional({ values: 'null' }).isString().trim().notEmpty().withMessage('Station must be a non-empty string'),
+  ...modifierGroupValidators,
+  ...stockValidators,
+  ...dietaryValidators,
+  ...availabilityValidators,
+];
+
+const importRowValidators = [
+  body('sku').trim().notEmpty().withMessage('sku is required'),
+  ...menuItemValidators,
+];
+
+// ─── Helper: add schedule state (availableNow, nextAvailableAt) to an outlet's items ──
+// Items outside their schedule are dropped unless `keepUnavailable`
+const withAvailability = async (items, outlet, { keepUnavailable = false, categories } = {}) => {
+  categories ??= await Category.byName(outlet._id);
+  const now = new Date();
+  return items
+    .map((item) => ({ ...item.toObject(), ...itemAvailability(item, categories.get(item.category), outlet.timezone, now) }))
+    .filter((item) => keepUnavailable || item.availableNow);
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     MenuSort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         enum: [category, -category, name, -name, price, -price, createdAt, -createdAt]
+ *         default: category
+ *       description: Sort field, "-" prefix for descending (category sorts by category, then name)
+ *     MenuCategories:
+ *       in: query
+ *       name: category
+ *       schema:
+ *         type: string
+ *         example: Snack,Drink
+ *       description: Comma-separated category names
+ *     MenuIncludeUnavailable:
+ *       in: query
+ *       name: includeUnavailable
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: Also list items outside their availability schedule (availableNow false, with nextAvailableAt)
+ *     MenuMinPrice:
+ *       in: query
+ *       name: minPrice
+ *       schema:
+ *         type: number
+ *     MenuMaxPrice:
+ *       in: query
+ *       name: maxPrice
+ *       schema:
+ *         type: number
+ *     MenuSearch:
+ *       in: query
+ *       name: q
+ *       schema:
+ *         type: string
+ *         example: paneer
+ *       description: Words to find in the name or description (whole words, any of them; "-word" excludes). Results keep the requested sort.
+ *     MenuTags:
+ *       in: query
+ *       name: tags
+ *       schema:
+ *         type: string
+ *         example: vegan,gluten-free
+ *       description: Comma-separated dietary tags the item must all have
+ *     MenuExcludeTags:
+ *       in: query
+ *       name: excludeTags
+ *       schema:
+ *         type: string
+ *         example: non-veg,egg
+ *       description: Comma-separated dietary tags the item must not have
+ *     MenuAllergens:
+ *       in: query
+ *       name: allergens
+ *       schema:
+ *         type: string
+ *         example: milk
+ *       description: Comma-separated allergens the item must all contain
+ *     MenuExcludeAllergens:
+ *       in: query
+ *       name: excludeAllergens
+ *       schema:
+ *         type: string
+ *         example: peanuts,tree-nuts
+ *       description: Comma-separated allergens the item must not contain (e.g. peanuts,tree-nuts to hide items with nuts)
  */
 
 /**
  * @swagger
  * /api/menu:
  *   get:
- *     summary: Get all available menu items (public)
+ *     summary: Get an outlet's available, in-stock menu items in active categories (public)
  *     tags: [Menu]
  *     parameters:
  *       - in: query
- *         name: category
+ *         name: outletId
  *         schema:
  *           type: string
- *           enum: [Main, Snack, Drink, Beverage, Dessert]
- *         description: Filter by category
+ *         description: Outlet to show (optional when only one outlet is active; X-Outlet-Id header also accepted)
+ *       - $ref: '#/components/parameters/MenuCategories'
+ *       - $ref: '#/components/parameters/MenuMinPrice'
+ *       - $ref: '#/components/parameters/MenuMaxPrice'
+ *       - $ref: '#/components/parameters/MenuSearch'
+ *       - $ref: '#/components/parameters/MenuTags'
+ *       - $ref: '#/components/parameters/MenuExcludeTags'
+ *       - $ref: '#/components/parameters/MenuAllergens'
+ *       - $ref: '#/components/parameters/MenuExcludeAllergens'
+ *       - $ref: '#/components/parameters/MenuIncludeUnavailable'
+ *       - $ref: '#/components/parameters/MenuSort'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
- *         description: List of available menu items
+ *         description: Page of available menu items (default page size 100)
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/MenuItem'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ScheduledMenuItem'
+ *       400:
+ *         description: Invalid filters or cursor, or outletId missing while several outlets are active
+ *       404:
+ *         description: Outlet not found
  */
-router.get('/', async (req, res) => {
-  const filter = { isAvailable: true };
-  if (req.query.category) filter.category = req.query.category;
-  const items = await MenuItem.find(filter).sort({ category: 1, name: 1 });
-  res.json(items);
-});
+router.get(
+  '/',
+  [...menuListValidators, query('includeUnavailable').optional().isBoolean().withMessage('includeUnavailable must be a boolean')],
+  resolveOutlet,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const filter = menuListFilter(req, { outletId: req.outlet._id, ...MenuItem.orderableFilter() });
+    filter.category = { ...filter.category, $nin: await Category.inactiveNames(req.outlet._id) };
+    const keepUnavailable = req.query.includeUnavailable === 'true';
+    const categories = await Category.byName(req.outlet._id);
+    const now = new Date();
+    const page = await paginate(MenuItem, filter, req.query, {
+      sorts: MENU_SORTS,
+      defaultSort: 'category',
+      defaultLimit: 100,
+      keep: keepUnavailable
+        ? null
+        : (item) => itemAvailability(item, categories.get(item.category), req.outlet.timezone, now).availableNow,
+    });
+    res.json({ ...page, data: await withAvailability(page.data, req.outlet, { keepUnavailable: true, categories }) });
+  }
+);
 
 /**
  * @swagger
  * /api/menu/all:
  *   get:
- *     summary: Get all menu items including unavailable (admin only)
+ *     summary: Get all menu items including unavailable (any staff)
  *     tags: [Menu]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: category
+ *         name: outletId
  *         schema:
  *           type: string
- *           enum: [Main, Snack, Drink, Beverage, Dessert]
- *         description: Filter by category
+ *         description: Org-wide admins only — limit to one outlet (outlet staff always see their own)
+ *       - $ref: '#/components/parameters/MenuCategories'
+ *       - $ref: '#/components/parameters/MenuMinPrice'
+ *       - $ref: '#/components/parameters/MenuMaxPrice'
+ *       - $ref: '#/components/parameters/MenuSearch'
+ *       - $ref: '#/components/parameters/MenuTags'
+ *       - $ref: '#/components/parameters/MenuExcludeTags'
+ *       - $ref: '#/components/parameters/MenuAllergens'
+ *       - $ref: '#/components/parameters/MenuExcludeAllergens'
+ *       - $ref: '#/components/parameters/MenuSort'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
- *         description: Full list of menu items
+ *         description: Page of menu items (default page size 100)
  *         content:
  *           application/json:
  *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MenuItem'
+ *       400:
+ *         description: Invalid filters or cursor
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/all', auth, menuListValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const filter = menuListFilter(req, staffOutletFilter(req));
+  res.json(await paginate(MenuItem, filter, req.query, { sorts: MENU_SORTS, defaultSort: 'category', defaultLimit: 100 }));
+});
+
+/**
+ * @swagger
+ * /api/menu/grouped:
+ *   get:
+ *     summary: Get an outlet's menu grouped by category, in display order (public)
+ *     tags: [Menu]
+ *     description: |
+ *       Active categories with their available, in-stock items sorted by name. Categories without
+ *       such items are left out. Items whose category no longer exists come last, grouped under
+ *       their category name with a null _id.
+ *     parameters:
+ *       - in: query
+ *         name: outletId
+ *         schema:
+ *           type: string
+ *         description: Outlet to show (optional when only one outlet is active; X-Outlet-Id header also accepted)
+ *       - $ref: '#/components/parameters/MenuIncludeUnavailable'
+ *     responses:
+ *       200:
+ *         description: Menu sections
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 outletId:
+ *                   type: string
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Category'
+ *                       - type: object
+ *                         properties:
+ *                           items:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/ScheduledMenuItem'
+ *       400:
+ *         description: Invalid includeUnavailable, or outletId missing while several outlets are active
+ *       404:
+ *         description: Outlet not found
+ */
+router.get(
+  '/grouped',
+  query('includeUnavailable').optional().isBoolean().withMessage('includeUnavailable must be a boolean'),
+  resolveOutlet,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const [categories, found] = await Promise.all([
+      Category.availableTo(req.outlet._id),
+      MenuItem.find({ outletId: req.outlet._id, ...MenuItem.orderableFilter() }).sort({ name: 1 }),
+    ]);
+    const items = await withAvailability(found, req.outlet, {
+      categories: new Map(categories.map((c) => [c.name, c])),
+      keepUnavailable: req.query.includeUnavailable === 'true',
+    });
+
+    const byCategory = new Map();
+    for (const item of items) {
+      if (!byCategory.has(item.category)) byCategory.set(item.category, []);
+      byCategory.get(item.category).push(item);
+    }
+
+    const sections = categories
+      .filter((c) => c.isActive && byCategory.has(c.name))
+      .map((c) => ({ ...c.toObject(), items: byCategory.get(c.name) }));
+    const known = new Set(categories.map((c) => c.name));
+    for (const [name, orphans] of byCategory) {
+      if (!known.has(name)) sections.push({ _id: null, name, displayOrder: null, icon: null, isActive: true, items: orphans });
+    }
+
+    res.json({ outletId: req.outlet._id, categories: sections });
+  }
+);
+
+// ─── Helper: outlet for bulk import/export — own outlet, or ?outletId for org-wide admins ──
+const bulkOutlet = async (req, res) => {
+  const outlet = await staffTargetOutlet(req);
+  if (!outlet) res.status(400).json({ message: 'A valid outletId is required.' });
+  return outlet;
+};
+
+/**
+ * @swagger
+ * /api/menu/export:
+ *   get:
+ *     summary: Download an outlet's full menu as CSV or JSON (requires menu:write)
+ *     tags: [Menu]
+ *     description: |
+ *       Columns: sku, name, description, category, price, timeTaken, station, isAvailable, stock,
+ *       lowStockThreshold, imageUrl, modifierGroups (JSON text in CSV). The file can be edited and
+ *       sent back to POST /api/menu/import; items without a sku need one before they can be re-imported.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: outletId
+ *         schema:
+ *           type: string
+ *         description: Required for org-wide admins; outlet staff always export their own outlet
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: The menu as a file download (JSON is an array of items)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/MenuItem'
+ *                 type: object
+ *       400:
+ *         description: Missing outletId or invalid format
  *       401:
  *         description: Unauthorized
  */
-router.get('/all', auth, async (req, res) => {
-  const filter = {};
-  if (req.query.category) filter.category = req.query.category;
-  const items = await MenuItem.find(filter).sort({ category: 1, name: 1 });
-  res.json(items);
-});
+router.get(
+  '/export',
+  auth,
+  requirePermission('menu:write'),
+  query('format').optional().isIn(['csv', 'json']).withMessage('format must be csv or json'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const outlet = await bulkOutlet(req, res);
+    if (!outlet) return;
+
+    const rows = await exportMenu(outlet._id);
+    const format = req.query.format || 'csv';
+    res.setHeader('Content-Disposition', `attachment; filename="menu-${outlet.code}.${format}"`);
+    if (format === 'json') return res.json(rows);
+    res.type('text/csv; charset=utf-8').send(menuToCsv(rows));
+  }
+);
+
+/**
+ * @swagger
+ * /api/menu/import:
+ *   post:
+ *     summary: Create or update many menu items from a CSV or JSON file (requires menu:write)
+ *     tags: [Menu]
+ *     description: |
+ *       Rows use the export's columns and are matched to existing items by `sku` (required on every
+ *       row): a known sku updates that item, a new one creates it. Columns left empty keep the
+ *       item's current value; write `null` to clear station, stock or lowStockThreshold.
+ *       Every row is checked with the POST /api/menu rules first. With `dryRun=true` nothing is
+ *       written and the per-row report is returned; otherwise any invalid row rejects the whole
+ *       file, and a valid file is applied in a single transaction.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: outletId
+ *         schema:
+ *           type: string
+ *         description: Required for org-wide admins; outlet staff always import into their own outlet
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               sku,name,category,price,timeTaken,stock
+ *               TEA-01,Masala Chai,Beverage,20,3,
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - type: array
+ *                 items:
+ *                   type: object
+ *               - type: object
+ *                 properties:
+ *                   items:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *     responses:
+ *       200:
+ *         description: |
+ *           { dryRun, applied, summary: { rows, create, update, invalid }, rows: [{ row, sku, name, action, errors? }] }
+ *           — row is the 1-based position among the file's items; action is create, update or invalid
+ *       400:
+ *         description: Unreadable file, missing outletId, or (when not a dry run) invalid rows — same report, applied false
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/import',
+  auth,
+  requirePermission('menu:write'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const outlet = await bulkOutlet(req, res);
+    if (!outlet) return;
+
+    let items;
+    try {
+      items = readImportRows(req.body);
+    } catch (err) {
+      if (err instanceof MenuImportError) return res.status(400).json({ message: err.message });
+      throw err;
+    }
+    if (!items.length) return res.status(400).json({ message: 'The file has no items.' });
+
+    const dryRun = req.query.dryRun === 'true';
+    const plan = await planMenuImport(items, { outletId: outlet._id, validators: importRowValidators });
+    const report = { dryRun, applied: false, summary: plan.summary, rows: plan.rows };
+
+    if (dryRun) return res.json(report);
+    if (plan.summary.invalid) return res.status(400).json(report);
+
+    await applyMenuImport(plan, { outletId: outlet._id });
+    res.json({ ...report, applied: true });
+  }
+);
 
 /**
  * @swagger
@@ -125,25 +732,28 @@ router.get('/all', auth, async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Menu item found
+ *         description: Menu item found, with its current schedule state
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/MenuItem'
+ *               $ref: '#/components/schemas/ScheduledMenuItem'
  *       404:
  *         description: Item not found
  */
 router.get('/:id', async (req, res) => {
   const item = await MenuItem.findById(req.params.id);
   if (!item) return res.status(404).json({ message: 'Menu item not found.' });
-  res.json(item);
+  const outlet = await Outlet.findById(item.outletId);
+  if (!outlet) return res.json(item);
+  const [annotated] = await withAvailability([item], outlet, { keepUnavailable: true });
+  res.json(annotated);
 });
 
 /**
  * @swagger
  * /api/menu:
  *   post:
- *     summary: Add a new menu item (admin only)
+ *     summary: Add a new menu item (requires menu:write)
  *     tags: [Menu]
  *     security:
  *       - bearerAuth: []
@@ -155,6 +765,12 @@ router.get('/:id', async (req, res) => {
  *             type: object
  *             required: [name, price, category]
  *             properties:
+ *               outletId:
+ *                 type: string
+ *                 description: Required for org-wide admins; outlet staff always create items in their own outlet
+ *               sku:
+ *                 type: string
+ *                 description: Optional stable key for bulk import, unique within the outlet
  *               name:
  *                 type: string
  *               description:
@@ -163,16 +779,48 @@ router.get('/:id', async (req, res) => {
  *                 type: number
  *               category:
  *                 type: string
- *                 enum: [Main, Snack, Drink, Beverage, Dessert]
+ *                 description: Name of one of the outlet's categories (see /api/categories)
  *               timeTaken:
  *                 type: integer
  *                 minimum: 1
  *                 description: Estimated preparation time in minutes (required)
  *                 example: 10
+ *               station:
+ *                 type: string
+ *                 description: Kitchen station override (defaults to the category's station)
+ *               modifierGroups:
+ *                 type: array
+ *                 description: Replaces all groups; send existing _ids to keep carts referencing them valid
+ *                 items:
+ *                   $ref: '#/components/schemas/ModifierGroup'
  *               isAvailable:
  *                 type: boolean
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Portions available (omit or null to not track stock)
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 nullable: true
  *               imageUrl:
  *                 type: string
+ *               dietaryTags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [veg, non-veg, egg, vegan, jain, gluten-free]
+ *               allergens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [gluten, milk, eggs, peanuts, tree-nuts, soy, sesame, mustard, fish, crustaceans, molluscs, celery, lupin, sulphites]
+ *               spiceLevel:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 3
+ *                 nullable: true
+ *               availability:
+ *                 $ref: '#/components/schemas/Availability'
  *     responses:
  *       201:
  *         description: Menu item created
@@ -181,30 +829,39 @@ router.get('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/MenuItem'
  *       400:
- *         description: Validation error
+ *         description: Validation error, unknown category or missing outletId
+ *       409:
+ *         description: sku already used at the outlet
  *       401:
  *         description: Unauthorized
  */
 router.post(
   '/',
   auth,
-  requireRole('admin'),
-  [
-    body('name').trim().notEmpty().withMessage('Name is required'),
-    body('price').isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
-    body('category')
-      .isIn(['Main', 'Snack', 'Drink', 'Beverage', 'Dessert'])
-      .withMessage('Invalid category'),
-    body('timeTaken')
-      .notEmpty().withMessage('timeTaken (prep time in minutes) is required')
-      .isInt({ min: 1 }).withMessage('timeTaken must be a positive integer (minutes)'),
-  ],
+  requirePermission('menu:write'),
+  [skuValidator, ...menuItemValidators],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { name, description, price, category, timeTaken, isAvailable, imageUrl } = req.body;
-    const item = await MenuItem.create({ name, description, price, category, timeTaken, isAvailable, imageUrl });
+    const outlet = await staffTargetOutlet(req);
+    if (!outlet) return res.status(400).json({ message: 'A valid outletId is required.' });
+
+    const {
+      sku, name, description, price, category, timeTaken, station, modifierGroups, isAvailable, stock, lowStockThreshold, imageUrl,
+      dietaryTags, allergens, spiceLevel, availability,
+    } = req.body;
+    if (sku && await MenuItem.exists({ outletId: outlet._id, sku })) {
+      return res.status(409).json({ message: `sku "${sku}" is already used at this outlet.` });
+    }
+    if ((await Category.unknownNames([category], outlet._id)).length) {
+      return res.status(400).json({ message: `Unknown category "${category}".` });
+    }
+    const item = await MenuItem.create({
+      outletId: outlet._id,
+      sku, name, description, price, category, timeTaken, station, modifierGroups, isAvailable, stock, lowStockThreshold, imageUrl,
+      dietaryTags, allergens, spiceLevel, availability,
+    });
     res.status(201).json(item);
   }
 );
@@ -213,7 +870,7 @@ router.post(
  * @swagger
  * /api/menu/{id}:
  *   put:
- *     summary: Update a menu item (admin only)
+ *     summary: Update a menu item (requires menu:write)
  *     tags: [Menu]
  *     security:
  *       - bearerAuth: []
@@ -230,6 +887,8 @@ router.post(
  *           schema:
  *             type: object
  *             properties:
+ *               sku:
+ *                 type: string
  *               name:
  *                 type: string
  *               description:
@@ -238,16 +897,48 @@ router.post(
  *                 type: number
  *               category:
  *                 type: string
- *                 enum: [Main, Snack, Drink, Beverage, Dessert]
+ *                 description: Name of one of the outlet's categories (see /api/categories)
  *               timeTaken:
  *                 type: integer
  *                 minimum: 1
  *                 description: Estimated preparation time in minutes
  *                 example: 10
+ *               station:
+ *                 type: string
+ *                 description: Kitchen station override (defaults to the category's station)
+ *               modifierGroups:
+ *                 type: array
+ *                 description: Replaces all groups; send existing _ids to keep carts referencing them valid
+ *                 items:
+ *                   $ref: '#/components/schemas/ModifierGroup'
  *               isAvailable:
  *                 type: boolean
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Portions available (omit or null to not track stock)
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 nullable: true
  *               imageUrl:
  *                 type: string
+ *               dietaryTags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [veg, non-veg, egg, vegan, jain, gluten-free]
+ *               allergens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [gluten, milk, eggs, peanuts, tree-nuts, soy, sesame, mustard, fish, crustaceans, molluscs, celery, lupin, sulphites]
+ *               spiceLevel:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 3
+ *                 nullable: true
+ *               availability:
+ *                 $ref: '#/components/schemas/Availability'
  *     responses:
  *       200:
  *         description: Menu item updated
@@ -255,45 +946,286 @@ router.post(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/MenuItem'
+ *       400:
+ *         description: Validation error or unknown category
  *       404:
  *         description: Item not found
+ *       409:
+ *         description: sku already used at the outlet
  *       401:
  *         description: Unauthorized
  */
 router.put(
   '/:id',
   auth,
-  requireRole('admin'),
+  requirePermission('menu:write'),
   [
+    skuValidator,
     body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
-    body('category')
-      .optional()
-      .isIn(['Main', 'Snack', 'Drink', 'Beverage', 'Dessert'])
-      .withMessage('Invalid category'),
+    body('category').optional().isString().trim().notEmpty().withMessage('Category must be a non-empty string'),
     body('timeTaken')
       .optional()
       .isInt({ min: 1 }).withMessage('timeTaken must be a positive integer (minutes)'),
+    body('station').optional({ values: 'null' }).isString().trim().notEmpty().withMessage('Station must be a non-empty string'),
+    ...modifierGroupValidators,
+    ...stockValidators,
+    ...dietaryValidators,
+    ...availabilityValidators,
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const allowed = ['name', 'description', 'price', 'category', 'timeTaken', 'isAvailable', 'imageUrl'];
+    const allowed = [
+      'sku', 'name', 'description', 'price', 'category', 'timeTaken', 'station', 'modifierGroups', 'isAvailable',
+      'stock', 'lowStockThreshold', 'imageUrl', 'dietaryTags', 'allergens', 'spiceLevel', 'availability',
+    ];
     const updates = Object.fromEntries(
       Object.entries(req.body).filter(([k]) => allowed.includes(k))
     );
 
-    const item = await MenuItem.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    const scope = { _id: req.params.id, ...staffOutletFilter(req) };
+    // A new imageUrl replaces an uploaded photo, so its thumbnail goes too
+    if ('imageUrl' in updates) updates.thumbnailUrl = null;
+
+    let current = null;
+    if (updates.sku || updates.category || 'imageUrl' in updates) {
+      current = await MenuItem.findOne(scope).select('outletId imageUrl thumbnailUrl');
+      if (!current) return res.status(404).json({ message: 'Menu item not found.' });
+      if (updates.sku && await MenuItem.exists({ _id: { $ne: current._id }, outletId: current.outletId, sku: updates.sku })) {
+        return res.status(409).json({ message: `sku "${updates.sku}" is already used at this outlet.` });
+      }
+      if (updates.category && (await Category.unknownNames([updates.category], current.outletId)).length) {
+        return res.status(400).json({ message: `Unknown category "${updates.category}".` });
+      }
+    }
+
+    const item = await MenuItem.findOneAndUpdate(scope, updates, { new: true, runValidators: true });
     if (!item) return res.status(404).json({ message: 'Menu item not found.' });
+    if ('stock' in updates) notifyStockLevel(item);
+    if (current && current.imageUrl !== item.imageUrl) await removeImages(current.imageUrl, current.thumbnailUrl);
     res.json(item);
   }
 );
 
+/**
+ * @swagger
+ * /api/menu/{id}/stock:
+ *   patch:
+ *     summary: Restock or correct a menu item's stock (requires menu:stock)
+ *     tags: [Menu]
+ *     description: |
+ *       Send `adjust` to add (or, negative, remove) portions atomically — safe while orders are
+ *       being placed — or `stock` to overwrite the count (null stops tracking).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               adjust:
+ *                 type: integer
+ *                 example: 20
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Updated menu item
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuItem'
+ *       400:
+ *         description: Validation error, or adjustment would take stock below zero
+ *       404:
+ *         description: Item not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch(
+  '/:id/stock',
+  auth,
+  requirePermission('menu:stock'),
+  [
+    body('adjust').optional().isInt().withMessage('adjust must be an integer'),
+    body('stock').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('stock must be a non-negative integer or null'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { adjust } = req.body;
+    const hasStock = 'stock' in req.body;
+    if ((adjust === undefined) === !hasStock) {
+      return res.status(400).json({ message: 'Send either adjust or stock.' });
+    }
+
+    const scope = { _id: req.params.id, ...staffOutletFilter(req) };
+    let item;
+    if (hasStock) {
+      item = await MenuItem.findOneAndUpdate(scope, { stock: req.body.stock }, { new: true });
+    } else {
+      // Guarded so a removal can't go below zero, even if orders take portions meanwhile
+      item = await MenuItem.findOneAndUpdate(
+        { ...scope, stock: { $gte: Math.max(0, -adjust) } },
+        { $inc: { stock: adjust } },
+        { new: true }
+      );
+      if (!item && await MenuItem.exists(scope)) {
+        return res.status(400).json({ message: 'Stock is not tracked for this item, or the adjustment would go below zero.' });
+      }
+    }
+
+    if (!item) return res.status(404).json({ message: 'Menu item not found.' });
+    notifyStockLevel(item);
+    res.json(item);
+  }
+);
+
+// ─── Helper: read a single multipart `image` file into memory, turning upload errors into 4xx ──
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new ImageError('Only JPEG, PNG and WebP images are accepted.'));
+  },
+}).single('image');
+
+const receiveImage = (req, res, next) =>
+  imageUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Images can be at most ${Math.floor(MAX_IMAGE_BYTES / 1024 / 1024)} MB.` });
+    }
+    if (err instanceof multer.MulterError) return res.status(400).json({ message: err.message });
+    if (err instanceof ImageError) return res.status(415).json({ message: err.message });
+    next(err);
+  });
+
+/**
+ * @swagger
+ * /api/menu/{id}/image:
+ *   post:
+ *     summary: Upload a menu item's photo (requires menu:write)
+ *     description: |
+ *       The photo is re-encoded as WebP (at most 1200px on its longest side) with a 320×320 thumbnail,
+ *       and imageUrl/thumbnailUrl are set on the item. The previous uploaded photo is deleted.
+ *       Stored photos are served with long-lived cache headers — a new upload always gets a new URL.
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [image]
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP, up to IMAGE_MAX_BYTES (default 5 MB)
+ *     responses:
+ *       200:
+ *         description: Item with its new imageUrl and thumbnailUrl
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuItem'
+ *       400:
+ *         description: No image file in the request
+ *       404:
+ *         description: Item not found
+ *       413:
+ *         description: Image too large
+ *       415:
+ *         description: Not a JPEG, PNG or WebP image
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/image', auth, requirePermission('menu:write'), receiveImage, async (req, res) => {
+  if (!req.file) return res.status(400).json({ message: 'Send the photo as the "image" field of a multipart form.' });
+
+  const item = await MenuItem.findOne({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!item) return res.status(404).json({ message: 'Menu item not found.' });
+
+  let stored;
+  try {
+    stored = await storeMenuImage(item._id, req.file.buffer);
+  } catch (err) {
+    if (err instanceof ImageError) return res.status(415).json({ message: err.message });
+    throw err;
+  }
+
+  const previous = [item.imageUrl, item.thumbnailUrl].filter((url) => url && url !== stored.imageUrl && url !== stored.thumbnailUrl);
+  item.imageUrl = stored.imageUrl;
+  item.thumbnailUrl = stored.thumbnailUrl;
+  await item.save();
+  await removeImages(...previous);
+  res.json(item);
+});
+
+/**
+ * @swagger
+ * /api/menu/{id}/image:
+ *   delete:
+ *     summary: Remove a menu item's photo (requires menu:write)
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item without a photo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuItem'
+ *       404:
+ *         description: Item not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/image', auth, requirePermission('menu:write'), async (req, res) => {
+  const item = await MenuItem.findOne({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!item) return res.status(404).json({ message: 'Menu item not found.' });
+
+  const { imageUrl, thumbnailUrl } = item;
+  item.imageUrl = undefined;
+  item.thumbnailUrl = null;
+  await item.save();
+  await removeImages(imageUrl, thumbnailUrl);
+  res.json(item);
+});
+
 /**
  * @swagger
  * /api/menu/{id}:
  *   delete:
- *     summary: Delete a menu item (admin only)
+ *     summary: Delete a menu item (requires menu:write)
  *     tags: [Menu]
  *     security:
  *       - bearerAuth: []
@@ -311,9 +1243,10 @@ router.put(
  *       401:
  *         description: Unauthorized
  */
-router.delete('/:id', auth, requireRole('admin'), async (req, res) => {
-  const item = await MenuItem.findByIdAndDelete(req.params.id);
+router.delete('/:id', auth, requirePermission('menu:write'), async (req, res) => {
+  const item = await MenuItem.findOneAndDelete({ _id: req.params.id, ...staffOutletFilter(req) });
   if (!item) return res.status(404).json({ message: 'Menu item not found.' });
+  await removeImages(item.imageUrl, item.thumbnailUrl);
   res.json({ message: 'Menu item deleted.' });
 });
 
@@ -1,12 +1,42 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const { body, query, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const MenuItem = require('../models/MenuItem');
 const Cart = require('../models/Cart');
 const User = require('../models/User');
-const { auth, userAuth, requireRole } = require('../middleware/auth');
-const { emitQueueUpdate, emitOrderReady } = require('../socket');
+const PickupSlot = require('../models/PickupSlot');
+const Category = require('../models/Category');
+const Outlet = require('../models/Outlet');
+const { auth, userAuth, requirePermission } = require('../middleware/auth');
+const { resolveOutlet, staffOutletFilter, canAccessOutlet } = require('../middleware/outlet');
+const { emitQueueUpdate, emitOrderStatus, emitOrderReady } = require('../socket');
+const { PAYMENT_METHODS, createPaymentIntent } = require('../payments');
+const { CANCELLABLE, bookSlot, releaseSlot, cancelOrder } = require('../orders');
+const { stationFor, buildTickets } = require('../config/stations');
+const { estimateQueue } = require('../queue/estimator');
+const { computeReleaseAt } = require('../queue/scheduler');
+const { StockError, reserveStock } = require('../inventory');
+const { CouponError, redeemCoupon, releaseCoupon } = require('../promotions');
+const { applyCharges, assignInvoiceNumber, buildInvoice } = require('../billing');
+const { renderInvoiceHtml } = require('../billing/invoiceHtml');
+const { verifyAccessToken } = require('../sessions');
+const { scheduleError } = require('../availability');
+const {
+  pageValidators,
+  paginate,
+  dateRange,
+  numberRange,
+  listFilter,
+  listValidator,
+  containsText,
+} = require('../listing');
+const {
+  PickupCodeError,
+  issuePickupCode,
+  verifyPickupCode,
+  consumePickupCode,
+  logPickupFailure,
+} = require('../pickup');
 
 const router = express.Router();
 
@@ -21,6 +51,23 @@ const router = express.Router();
  * @swagger
  * components:
  *   schemas:
+ *     OrderModifier:
+ *       type: object
+ *       properties:
+ *         groupId:
+ *           type: string
+ *         optionId:
+ *           type: string
+ *         group:
+ *           type: string
+ *           example: Size
+ *         option:
+ *           type: string
+ *           example: Large
+ *         priceDelta:
+ *           type: number
+ *         timeDelta:
+ *           type: integer
  *     OrderItem:
  *       type: object
  *       properties:
@@ -32,11 +79,171 @@ const router = express.Router();
  *           type: integer
  *         price:
  *           type: number
+ *           description: Unit price including modifier deltas
+ *         basePrice:
+ *           type: number
+ *           description: Menu price before modifiers
+ *         modifiers:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderModifier'
+ *         timeTaken:
+ *           type: integer
+ *           nullable: true
+ *           description: Prep time snapshot including modifier time deltas
+ *         station:
+ *           type: string
+ *           description: Kitchen station that prepares this item
+ *           example: drinks
+ *         category:
+ *           type: string
+ *           description: Menu category at order time
+ *     TaxLine:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: CGST
+ *         rate:
+ *           type: number
+ *           example: 2.5
+ *         inclusive:
+ *           type: boolean
+ *           description: Already included in menu prices
+ *         taxableAmount:
+ *           type: number
+ *         amount:
+ *           type: number
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         invoiceNumber:
+ *           type: string
+ *           example: INV-MAIN-2025-00042
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         outlet:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             address:
+ *               type: string
+ *               nullable: true
+ *         order:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             placedAt:
+ *               type: string
+ *               format: date-time
+ *             customerName:
+ *               type: string
+ *             status:
+ *               type: string
+ *             paymentMethod:
+ *               type: string
+ *             paymentStatus:
+ *               type: string
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               modifiers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               quantity:
+ *                 type: integer
+ *               unitPrice:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *         subtotal:
+ *           type: number
+ *         discount:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             code:
+ *               type: string
+ *             amount:
+ *               type: number
+ *         serviceCharge:
+ *           type: number
+ *         taxes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TaxLine'
+ *         taxTotal:
+ *           type: number
+ *         roundOff:
+ *           type: number
+ *         total:
+ *           type: number
+ *     StatusChange:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *         from:
+ *           type: string
+ *           nullable: true
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         actor:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [admin, user, guest, system]
+ *             id:
+ *               type: string
+ *               nullable: true
+ *               description: Staff view only
+ *             role:
+ *               type: string
+ *               nullable: true
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         route:
+ *           type: string
+ *           description: Staff view only — the API route that made the change
+ *           example: PATCH /api/orders/:id/status
+ *     StationTicket:
+ *       type: object
+ *       properties:
+ *         station:
+ *           type: string
+ *           example: main
+ *         status:
+ *           type: string
+ *           enum: [pending, preparing, ready]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         readyAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *     Order:
  *       type: object
  *       properties:
  *         _id:
  *           type: string
+ *         outletId:
+ *           type: string
  *         userId:
  *           type: string
  *           nullable: true
@@ -46,11 +253,83 @@ const router = express.Router();
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/OrderItem'
+ *         tickets:
+ *           type: array
+ *           description: One ticket per kitchen station — the order is ready once every ticket is ready
+ *           items:
+ *             $ref: '#/components/schemas/StationTicket'
+ *         subtotal:
+ *           type: number
+ *           description: Item total before discount
+ *         discount:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             couponId:
+ *               type: string
+ *             code:
+ *               type: string
+ *             type:
+ *               type: string
+ *               enum: [percent, flat]
+ *             value:
+ *               type: number
+ *             amount:
+ *               type: number
+ *               description: Money taken off the subtotal
+ *         taxes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TaxLine'
+ *         taxTotal:
+ *           type: number
+ *         serviceCharge:
+ *           type: number
+ *         roundOff:
+ *           type: number
  *         totalAmount:
  *           type: number
+ *           description: Amount payable — subtotal − discount + exclusive taxes + service charge ± round-off
+ *         invoiceNumber:
+ *           type: string
+ *           nullable: true
  *         status:
  *           type: string
- *           enum: [pending, preparing, ready, completed]
+ *           enum: [awaiting_payment, scheduled, pending, preparing, ready, completed, cancelled]
+ *         pickupSlot:
+ *           type: object
+ *           nullable: true
+ *           description: Booked pickup window for pre-orders
+ *           properties:
+ *             slotId:
+ *               type: string
+ *             start:
+ *               type: string
+ *               format: date-time
+ *             end:
+ *               type: string
+ *               format: date-time
+ *         releaseAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When a scheduled pre-order joins the live queue
+ *         paymentMethod:
+ *           type: string
+ *           enum: [upi, card, cash]
+ *         paymentStatus:
+ *           type: string
+ *           enum: [pending, paid, failed, refunded]
+ *         paymentId:
+ *           type: string
+ *           nullable: true
+ *         stockReserved:
+ *           type: boolean
+ *           description: Whether the order currently holds menu stock (released on cancel)
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/StatusChange'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -58,21 +337,175 @@ const router = express.Router();
 
 // ─── Helper: extract user from token if present (non-blocking) ────────────────
 // Used to optionally link an order to a user without requiring auth
-const extractUser = (req) => {
+const extractUser = async (req) => {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  const decoded = await verifyAccessToken(authHeader.slice(7));
+  return decoded?.type === 'user' ? decoded : null;
+};
+
+// ─── Helper: extract admin/kitchen staff from token if present (non-blocking) ─
+const extractAdmin = async (req) => {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  const decoded = await verifyAccessToken(authHeader.slice(7));
+  return decoded && decoded.type !== 'user' ? decoded : null;
+};
+
+// ─── Helper: who/where metadata for Order#setStatus (feeds statusHistory) ─────
+// `user` overrides req.user for routes where the customer token is optional
+const statusMeta = (req, { user = req.user, reason = null } = {}) => {
+  let actor = { type: 'guest' };
+  if (req.admin) actor = { type: 'admin', id: req.admin.id, role: req.admin.role };
+  else if (user) actor = { type: 'user', id: user.id };
+
+  return { actor, route: `${req.method} ${req.baseUrl}${req.route.path}`, reason };
+};
+
+// ─── Helper: validate an optional pre-order pickup slot from the request body ──
+// Returns { pickupSlot } (null for ASAP orders) or { error } to send back as a 400.
+// pickupDate and the slot's times are read in `timeZone`, the outlet's.
+// The place itself is only taken in prepareCheckout (bookSlot), atomically
+const resolvePickupSlot = async ({ pickupSlotId, pickupDate } = {}, outletId, timeZone) => {
+  if (!pickupSlotId) return { pickupSlot: null };
+
+  const slot = await PickupSlot.findOne({ _id: pickupSlotId, outletId });
+  if (!slot) return { error: 'Pickup slot not found.' };
+
+  const date = pickupDate || PickupSlot.localDate(timeZone);
+  const { start, end, bookable } = await slot.availabilityOn(date, timeZone);
+  if (!bookable) {
+    return { error: `Pickup slot ${slot.label || slot.startTime} on ${date} is full or no longer available.` };
+  }
+
+  return { pickupSlot: { slotId: slot._id, start, end } };
+};
+
+// ─── Helper: pickup slot, coupon, taxes/charges and stock for a new order before it is saved ─
+// Returns an error message to send back as a 400, or null once the order is priced and reserved
+const prepareCheckout = async (order, { couponCode, userId }) => {
+  if (!(await bookSlot(order))) return 'Pickup slot is full or no longer available.';
+
+  try {
+    if (couponCode) await redeemCoupon(order, couponCode, { userId });
+  } catch (err) {
+    await releaseSlot(order);
+    if (err instanceof CouponError) return err.message;
+    throw err;
+  }
+
+  try {
+    await applyCharges(order);
+    await reserveStock(order.items);
+  } catch (err) {
+    await releaseCoupon(order);
+    await releaseSlot(order);
+    if (err instanceof StockError) return err.message;
+    throw err;
+  }
+  order.stockReserved = true;
+  return null;
+};
+
+// ─── Helper: paging and filters shared by the order listings ──────────────────
+const ORDER_SORTS = { createdAt: ['createdAt'], totalAmount: ['totalAmount'] };
+const ALL_STATUSES = Order.schema.path('status').enumValues;
+const ACTIVE_STATUSES = ['pending', 'preparing', 'ready'];
+
+// `statuses` limits what ?status may ask for
+const orderListValidators = (defaultSort, statuses = ALL_STATUSES) => [
+  ...pageValidators(ORDER_SORTS, defaultSort),
+  listValidator('status', statuses),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('minAmount').optional().isFloat({ min: 0 }).withMessage('minAmount must be a non-negative number'),
+  query('maxAmount').optional().isFloat({ min: 0 }).withMessage('maxAmount must be a non-negative number'),
+];
+
+// Staff listings can also narrow down to one customer
+const customerFilterValidators = [
+  query('userId').optional().isMongoId().withMessage('Invalid userId'),
+  query('customer').optional().isString().trim().notEmpty().withMessage('customer must be a non-empty string'),
+];
+
+const orderListFilter = (req, base) => {
+  const filter = { ...base };
+  if (req.query.status) filter.status = listFilter(req.query.status);
+  const createdAt = dateRange(req.query.from, req.query.to);
+  if (createdAt) filter.createdAt = createdAt;
+  const totalAmount = numberRange(req.query.minAmount, req.query.maxAmount);
+  if (totalAmount) filter.totalAmount = totalAmount;
+  if (req.admin) {
+    if (req.query.userId) filter.userId = req.query.userId;
+    if (req.query.customer) filter.customerName = containsText(req.query.customer);
+  }
+  return filter;
+};
+
+// ─── Helper: first status of a new order ──────────────────────────────────────
+// UPI/card → awaiting_payment; cash pre-orders → scheduled until release; otherwise pending
+const initialStatus = (order) =>
+  order.paymentMethod === 'cash' ? order.queueEntryStatus() : 'awaiting_payment';
+
+// ─── Helper: start payment or queue the order, then build the 201 response ────
+// Cash orders go straight into the queue (or wait for their slot); UPI/card orders
+// wait for payment confirmation first
+const finalizeNewOrder = async (order, pickupCode) => {
+  const response = { order, pickupCode, queuePosition: null, estimatedWaitMinutes: null, estimatedReadyAt: null };
+
+  if (order.status === 'awaiting_payment') {
+    let payment;
+    try {
+      payment = await createPaymentIntent(order);
+    } catch (err) {
+      // Nothing can be paid, so don't hold its stock until the payment timeout
+      await cancelOrder(order, { actor: { type: 'system' }, reason: 'Payment could not be started' });
+      throw err;
+    }
+    return {
+      ...response,
+      payment: {
+        paymentId: payment._id,
+        provider: payment.provider,
+        method: payment.method,
+        amount: payment.amount,
+        clientData: payment.clientData,
+      },
+    };
+  }
+
+  if (order.status === 'scheduled') return response;
+
+  const { position, estimatedMinutes, estimatedReadyAt } = await order.getQueuePosition();
+  emitQueueUpdate(order.outletId);
+  return { ...response, queuePosition: position, estimatedWaitMinutes: estimatedMinutes, estimatedReadyAt };
+};
+
+// ─── Helper: run a pickup-code check, logging and answering any rejection ─────
+// Returns the handler's result, or undefined after sending a 4xx response.
+const PICKUP_REJECTION_STATUS = {
+  order_not_found: 404,
+  not_owner: 403,
+  wrong_outlet: 403,
+  already_used: 409,
+};
+
+const withPickupCode = async (req, res, code, handler) => {
   try {
-    const authHeader = req.headers['authorization'];
-    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
-    const decoded = jwt.verify(authHeader.slice(7), process.env.JWT_SECRET);
-    return decoded.type === 'user' ? decoded : null;
-  } catch {
-    return null;
+    return await handler();
+  } catch (err) {
+    if (!(err instanceof PickupCodeError)) throw err;
+    await logPickupFailure(req, err, code);
+    res.status(PICKUP_REJECTION_STATUS[err.reason] || 400).json({ message: err.message, reason: err.reason });
   }
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
 // IMPORTANT: All static/specific routes must come BEFORE parameterized routes
 // like /:id and /:id/status, otherwise Express will match them as IDs.
-// Order: POST /, POST /from-cart, GET /, GET /history, GET /my, GET /:id, PATCH /:id/status
+// Order: POST /, POST /from-cart, GET /, GET /history, GET /my, POST /pickup, GET /:id,
+// GET /:id/timeline, GET /:id/invoice, PATCH /:id/status, PATCH /:id/tickets/:station, PATCH /:id/cancel,
+// PATCH /my/:id/cancel
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
@@ -85,6 +518,15 @@ const extractUser = (req) => {
  *       If a valid user token is provided in the Authorization header, the order will be
  *       linked to that user (userId set) and their cart will be cleared automatically.
  *       Without a token, the order is placed as a guest (userId = null, cart unaffected).
+ *
+ *       Cash orders (the default) enter the kitchen queue immediately. UPI/card orders are
+ *       created as `awaiting_payment` with a payment intent, and only join the queue once
+ *       the payment is confirmed via `POST /api/payments/verify` or the provider callback.
+ *       Unpaid orders are cancelled after PAYMENT_TIMEOUT_MINUTES (default 15), giving back
+ *       their stock and coupon.
+ *
+ *       With `pickupSlotId`, the order is a pre-order: it stays `scheduled` and joins the
+ *       live queue automatically at its slot start minus its prep time (plus a buffer).
  *     security:
  *       - {}
  *       - userAuth: []
@@ -110,6 +552,25 @@ const extractUser = (req) => {
  *                     quantity:
  *                       type: integer
  *                       minimum: 1
+ *                     modifiers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ModifierSelection'
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [upi, card, cash]
+ *                 default: cash
+ *               pickupSlotId:
+ *                 type: string
+ *                 description: Book a pickup slot (see GET /api/slots) to pre-order instead of ASAP
+ *               pickupDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Day of the pickup slot (YYYY-MM-DD, in the outlet's timezone), defaults to today there
+ *               couponCode:
+ *                 type: string
+ *                 example: LUNCH20
+ *                 description: Promo code; the discount is stored on the order (from-cart falls back to the cart's applied code)
  *     responses:
  *       201:
  *         description: Order placed successfully
@@ -120,25 +581,54 @@ const extractUser = (req) => {
  *               properties:
  *                 order:
  *                   $ref: '#/components/schemas/Order'
+ *                 pickupCode:
+ *                   type: string
+ *                   description: Signed single-use pickup code — render as a QR code and present it at the counter
  *                 queuePosition:
  *                   type: integer
- *                   description: Position in queue (1 = next to be served)
+ *                   nullable: true
+ *                   description: Position in queue (1 = next to be served), null while awaiting payment
+ *                 estimatedWaitMinutes:
+ *                   type: integer
+ *                   nullable: true
+ *                 estimatedReadyAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 payment:
+ *                   $ref: '#/components/schemas/PaymentIntent'
  *       400:
- *         description: Validation error or unavailable item
+ *         description: |
+ *           Validation error, unavailable or sold-out item, item outside its availability schedule
+ *           (checked at the pickup slot for pre-orders), not enough stock, invalid customization or coupon
  */
 router.post(
   '/',
+  resolveOutlet,
   [
     body('customerName').trim().notEmpty().withMessage('Customer name is required'),
     body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
     body('items.*.menuItemId').notEmpty().withMessage('Each item must have a menuItemId'),
     body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.modifiers').optional().isArray().withMessage('modifiers must be an array'),
+    body('items.*.modifiers.*.groupId').isMongoId().withMessage('Each modifier needs a valid groupId'),
+    body('items.*.modifiers.*.optionId').isMongoId().withMessage('Each modifier needs a valid optionId'),
+    body('paymentMethod').optional().isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+    body('pickupSlotId').optional().isMongoId().withMessage('Invalid pickupSlotId'),
+    body('pickupDate').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('pickupDate must be YYYY-MM-DD'),
+    body('couponCode').optional().isString().trim().notEmpty().withMessage('couponCode must be a non-empty string'),
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { customerName, items } = req.body;
+    const { customerName, items, paymentMethod = 'cash', couponCode } = req.body;
+    const outletId = req.outlet._id;
+
+    const { pickupSlot, error: slotError } = await resolvePickupSlot(req.body, outletId, req.outlet.timezone);
+    if (slotError) return res.status(400).json({ message: slotError });
+    const categories = await Category.byName(outletId);
+    const orderFor = pickupSlot?.start || new Date();
 
     const orderItems = [];
     let totalAmount = 0;
@@ -148,39 +638,70 @@ router.post(
       if (!menuItem) {
         return res.status(400).json({ message: `Menu item ${item.menuItemId} not found.` });
       }
-      if (!menuItem.isAvailable) {
+      if (String(menuItem.outletId) !== String(outletId)) {
+        return res.status(400).json({ message: `"${menuItem.name}" is not sold at ${req.outlet.name}.` });
+      }
+      // Items in a switched-off category are hidden from the menu, so they can't be ordered either
+      if (!menuItem.isAvailable || !categories.get(menuItem.category)?.isActive) {
         return res.status(400).json({ message: `"${menuItem.name}" is currently unavailable.` });
       }
-      const lineTotal = menuItem.price * item.quantity;
+      const offSchedule = scheduleError(menuItem, categories.get(menuItem.category), req.outlet.timezone, orderFor, {
+        preOrder: !!pickupSlot,
+      });
+      if (offSchedule) return res.status(400).json({ message: offSchedule });
+      if (menuItem.stockError(item.quantity)) {
+        return res.status(400).json({ message: menuItem.stockError(item.quantity) });
+      }
+      const priced = menuItem.applyModifiers(item.modifiers);
+      if (priced.error) return res.status(400).json({ message: priced.error });
+      const lineTotal = priced.unitPrice * item.quantity;
       totalAmount += lineTotal;
       orderItems.push({
         menuItemId: menuItem._id,
         name: menuItem.name,
         quantity: item.quantity,
-        price: menuItem.price,
-        timeTaken: menuItem.timeTaken ?? null,
+        price: priced.unitPrice,
+        basePrice: menuItem.price,
+        modifiers: priced.modifiers,
+        timeTaken: priced.timeTaken ?? null,
+        station: stationFor(menuItem, categories.get(menuItem.category)),
+        category: menuItem.category,
       });
     }
 
-    // If a valid user token is present, link the order and clear their cart
-    const tokenUser = extractUser(req);
-    let userId = null;
+    // If a valid user token is present, link the order (and clear their cart for this outlet below)
+    const tokenUser = await extractUser(req);
+    const userId = tokenUser ? tokenUser.id : null;
 
-    if (tokenUser) {
-      userId = tokenUser.id;
-      const cart = await Cart.findOne({ userId: tokenUser.id });
+    const order = new Order({
+      outletId,
+      userId,
+      customerName,
+      items: orderItems,
+      tickets: buildTickets(orderItems),
+      subtotal: totalAmount,
+      totalAmount,
+      paymentMethod,
+      pickupSlot,
+    });
+    if (pickupSlot) order.releaseAt = computeReleaseAt(order, pickupSlot.start);
+    order.setStatus(initialStatus(order), statusMeta(req, { user: tokenUser }));
+    const checkoutError = await prepareCheckout(order, { couponCode, userId });
+    if (checkoutError) return res.status(400).json({ message: checkoutError });
+    const pickupCode = issuePickupCode(order);
+    await order.save();
+
+    if (userId) {
+      const cart = await Cart.findOne({ userId, outletId });
       if (cart) {
         cart.items = [];
+        cart.outletId = null;
+        cart.couponCode = null;
         await cart.save();
       }
     }
 
-    const order = await Order.create({ userId, customerName, items: orderItems, totalAmount });
-    const { position: queuePosition, estimatedMinutes } = await order.getQueuePosition();
-
-    emitQueueUpdate();
-
-    res.status(201).json({ order, queuePosition, estimatedWaitMinutes: estimatedMinutes });
+    res.status(201).json(await finalizeNewOrder(order, pickupCode));
   }
 );
 
@@ -192,6 +713,28 @@ router.post(
  *     tags: [Orders]
  *     security:
  *       - userAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [upi, card, cash]
+ *                 default: cash
+ *               pickupSlotId:
+ *                 type: string
+ *                 description: Book a pickup slot (see GET /api/slots) to pre-order instead of ASAP
+ *               pickupDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Day of the pickup slot (YYYY-MM-DD, in the outlet's timezone), defaults to today there
+ *               couponCode:
+ *                 type: string
+ *                 example: LUNCH20
+ *                 description: Promo code; the discount is stored on the order (from-cart falls back to the cart's applied code)
  *     responses:
  *       201:
  *         description: Order placed from cart
@@ -202,141 +745,315 @@ router.post(
  *               properties:
  *                 order:
  *                   $ref: '#/components/schemas/Order'
+ *                 pickupCode:
+ *                   type: string
+ *                   description: Signed single-use pickup code — render as a QR code and present it at the counter
  *                 queuePosition:
  *                   type: integer
+ *                   nullable: true
+ *                 estimatedWaitMinutes:
+ *                   type: integer
+ *                   nullable: true
+ *                 estimatedReadyAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 payment:
+ *                   $ref: '#/components/schemas/PaymentIntent'
  *       400:
- *         description: Cart is empty or contains unavailable items
+ *         description: |
+ *           Cart is empty, contains unavailable items or items outside their availability schedule
+ *           (checked at the pickup slot for pre-orders), asks for more than is in stock, or the coupon is invalid
  *       401:
  *         description: Unauthorized (user token required)
  */
-router.post('/from-cart', userAuth, async (req, res) => {
-  const user = await User.findById(req.user.id);
-  if (!user) return res.status(404).json({ message: 'User not found.' });
+router.post(
+  '/from-cart',
+  userAuth,
+  [
+    body('paymentMethod').optional().isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+    body('pickupSlotId').optional().isMongoId().withMessage('Invalid pickupSlotId'),
+    body('pickupDate').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('pickupDate must be YYYY-MM-DD'),
+    body('couponCode').optional().isString().trim().notEmpty().withMessage('couponCode must be a non-empty string'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-  const cart = await Cart.findOne({ userId: req.user.id });
-  if (!cart || cart.items.length === 0) {
-    return res.status(400).json({ message: 'Your cart is empty.' });
-  }
+    const paymentMethod = req.body?.paymentMethod || 'cash';
 
-  const orderItems = [];
-  let totalAmount = 0;
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found.' });
 
-  for (const cartItem of cart.items) {
-    const menuItem = await MenuItem.findById(cartItem.menuItemId);
-    if (!menuItem) {
-      return res.status(400).json({
-        message: `A cart item (ID: ${cartItem.menuItemId}) no longer exists. Please refresh your cart.`,
-      });
+    const cart = await Cart.findOne({ userId: req.user.id });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Your cart is empty.' });
     }
-    if (!menuItem.isAvailable) {
-      return res.status(400).json({
-        message: `"${menuItem.name}" is currently unavailable. Remove it from your cart to continue.`,
+
+    // The cart is tied to the outlet of its first item; the order goes to that kitchen
+    const [outlet, categories] = await Promise.all([Outlet.findById(cart.outletId), Category.byName(cart.outletId)]);
+    const { pickupSlot, error: slotError } = await resolvePickupSlot(req.body, cart.outletId, outlet?.timezone);
+    if (slotError) return res.status(400).json({ message: slotError });
+    const orderFor = pickupSlot?.start || new Date();
+
+    const orderItems = [];
+    let totalAmount = 0;
+
+    for (const cartItem of cart.items) {
+      const menuItem = await MenuItem.findById(cartItem.menuItemId);
+      if (!menuItem) {
+        return res.status(400).json({
+          message: `A cart item (ID: ${cartItem.menuItemId}) no longer exists. Please refresh your cart.`,
+        });
+      }
+      if (String(menuItem.outletId) !== String(cart.outletId)) {
+        return res.status(400).json({
+          message: `"${menuItem.name}" is not sold at this outlet. Remove it from your cart to continue.`,
+        });
+      }
+      if (!menuItem.isAvailable || !categories.get(menuItem.category)?.isActive) {
+        return res.status(400).json({
+          message: `"${menuItem.name}" is currently unavailable. Remove it from your cart to continue.`,
+        });
+      }
+      const offSchedule = outlet && scheduleError(menuItem, categories.get(menuItem.category), outlet.timezone, orderFor, {
+        preOrder: !!pickupSlot,
+      });
+      if (offSchedule) return res.status(400).json({ message: offSchedule });
+      if (menuItem.stockError(cartItem.quantity)) {
+        return res.status(400).json({ message: menuItem.stockError(cartItem.quantity) });
+      }
+      const priced = menuItem.applyModifiers(cartItem.modifiers);
+      if (priced.error) return res.status(400).json({ message: priced.error });
+      const lineTotal = priced.unitPrice * cartItem.quantity;
+      totalAmount += lineTotal;
+      orderItems.push({
+        menuItemId: menuItem._id,
+        name: menuItem.name,
+        quantity: cartItem.quantity,
+        price: priced.unitPrice,
+        basePrice: menuItem.price,
+        modifiers: priced.modifiers,
+        timeTaken: priced.timeTaken ?? null,
+        station: stationFor(menuItem, categories.get(menuItem.category)),
+        category: menuItem.category,
       });
     }
-    const lineTotal = menuItem.price * cartItem.quantity;
-    totalAmount += lineTotal;
-    orderItems.push({
-      menuItemId: menuItem._id,
-      name: menuItem.name,
-      quantity: cartItem.quantity,
-      price: menuItem.price,
-      timeTaken: menuItem.timeTaken ?? null,
-    });
-  }
-
-  const order = await Order.create({
-    userId: user._id,
-    customerName: user.name,
-    items: orderItems,
-    totalAmount,
-  });
 
-  const { position: queuePosition, estimatedMinutes } = await order.getQueuePosition();
+    const order = new Order({
+      outletId: cart.outletId,
+      userId: user._id,
+      customerName: user.name,
+      items: orderItems,
+      tickets: buildTickets(orderItems),
+      subtotal: totalAmount,
+      totalAmount,
+      paymentMethod,
+      pickupSlot,
+    });
+    if (pickupSlot) order.releaseAt = computeReleaseAt(order, pickupSlot.start);
+    order.setStatus(initialStatus(order), statusMeta(req));
+    // A code in the request wins over the one applied to the cart
+    const couponCode = req.body?.couponCode || cart.couponCode;
+    const checkoutError = await prepareCheckout(order, { couponCode, userId: user._id });
+    if (checkoutError) return res.status(400).json({ message: checkoutError });
+    const pickupCode = issuePickupCode(order);
+    await order.save();
 
-  cart.items = [];
-  await cart.save();
+    cart.items = [];
+    cart.outletId = null;
+    cart.couponCode = null;
+    await cart.save();
 
-  emitQueueUpdate();
+    res.status(201).json(await finalizeNewOrder(order, pickupCode));
+  }
+);
 
-  res.status(201).json({ order, queuePosition, estimatedWaitMinutes: estimatedMinutes });
-});
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     OrderSort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         enum: [createdAt, -createdAt, totalAmount, -totalAmount]
+ *       description: Sort field, "-" prefix for descending
+ *     OrderStatuses:
+ *       in: query
+ *       name: status
+ *       schema:
+ *         type: string
+ *         example: completed,cancelled
+ *       description: Comma-separated order statuses
+ *     OrderFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         example: "2025-01-01"
+ *       description: Placed at or after (ISO 8601 date or timestamp)
+ *     OrderTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         example: "2025-01-31"
+ *       description: Placed before (ISO 8601); a plain date includes that whole day
+ *     OrderMinAmount:
+ *       in: query
+ *       name: minAmount
+ *       schema:
+ *         type: number
+ *       description: totalAmount at least
+ *     OrderMaxAmount:
+ *       in: query
+ *       name: maxAmount
+ *       schema:
+ *         type: number
+ *       description: totalAmount at most
+ *     OrderUser:
+ *       in: query
+ *       name: userId
+ *       schema:
+ *         type: string
+ *       description: Only this customer account's orders
+ *     OrderCustomer:
+ *       in: query
+ *       name: customer
+ *       schema:
+ *         type: string
+ *       description: Customer name contains (case-insensitive)
+ */
 
 /**
  * @swagger
  * /api/orders:
  *   get:
- *     summary: Get all active orders — pending and preparing (admin/kitchen)
+ *     summary: Get active orders — pending, preparing and ready (requires orders:read)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: station
+ *         schema:
+ *           type: string
+ *           example: drinks
+ *         description: Only orders with a ticket for this station
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           example: pending,preparing
+ *         description: Comma-separated subset of pending, preparing, ready
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - $ref: '#/components/parameters/OrderSort'
+ *       - $ref: '#/components/parameters/OrderFrom'
+ *       - $ref: '#/components/parameters/OrderTo'
+ *       - $ref: '#/components/parameters/OrderMinAmount'
+ *       - $ref: '#/components/parameters/OrderMaxAmount'
+ *       - $ref: '#/components/parameters/OrderUser'
+ *       - $ref: '#/components/parameters/OrderCustomer'
  *     responses:
  *       200:
- *         description: List of active orders sorted by creation time (oldest first)
+ *         description: Page of active orders, oldest first by default (default page size 100)
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Order'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid filters or cursor
  *       401:
  *         description: Unauthorized
  */
-router.get('/', auth, async (_req, res) => {
-  const orders = await Order.find({
-    status: { $in: ['pending', 'preparing', 'ready'] },
-  }).sort({ createdAt: 1 });
-  res.json(orders);
-});
+router.get(
+  '/',
+  auth,
+  requirePermission('orders:read'),
+  [...orderListValidators('createdAt', ACTIVE_STATUSES), ...customerFilterValidators],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const filter = orderListFilter(req, { ...staffOutletFilter(req), status: { $in: ACTIVE_STATUSES } });
+    if (req.query.station) filter['tickets.station'] = req.query.station;
+    res.json(await paginate(Order, filter, req.query, { sorts: ORDER_SORTS, defaultSort: 'createdAt', defaultLimit: 100 }));
+  }
+);
 
 /**
  * @swagger
  * /api/orders/history:
  *   get:
- *     summary: Get order history with optional filters (admin only)
+ *     summary: Get order history with optional filters (requires orders:history)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [pending, preparing, ready, completed]
- *         description: Filter by status
+ *       - $ref: '#/components/parameters/OrderStatuses'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - $ref: '#/components/parameters/OrderSort'
+ *       - $ref: '#/components/parameters/OrderFrom'
+ *       - $ref: '#/components/parameters/OrderTo'
+ *       - $ref: '#/components/parameters/OrderMinAmount'
+ *       - $ref: '#/components/parameters/OrderMaxAmount'
+ *       - $ref: '#/components/parameters/OrderUser'
+ *       - $ref: '#/components/parameters/OrderCustomer'
  *       - in: query
  *         name: date
  *         schema:
  *           type: string
  *           format: date
  *           example: "2025-01-15"
- *         description: Filter by date (YYYY-MM-DD)
+ *         description: Single day (YYYY-MM-DD) — shorthand for from=to=date
  *     responses:
  *       200:
- *         description: Filtered order history (most recent first, max 200)
+ *         description: Page of matching orders, most recent first by default (default page size 50)
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Order'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid filters or cursor
  *       401:
  *         description: Unauthorized
  */
-router.get('/history', auth, async (req, res) => {
-  const filter = {};
-
-  if (req.query.status) filter.status = req.query.status;
+router.get(
+  '/history',
+  auth,
+  requirePermission('orders:history'),
+  [
+    ...orderListValidators('-createdAt'),
+    ...customerFilterValidators,
+    query('date').optional().isISO8601().withMessage('date must be YYYY-MM-DD'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-  if (req.query.date) {
-    const start = new Date(req.query.date);
-    const end = new Date(req.query.date);
-    end.setDate(end.getDate() + 1);
-    filter.createdAt = { $gte: start, $lt: end };
+    const filter = orderListFilter(req, staffOutletFilter(req));
+    if (req.query.date && !filter.createdAt) filter.createdAt = dateRange(req.query.date, req.query.date);
+    res.json(await paginate(Order, filter, req.query, { sorts: ORDER_SORTS, defaultSort: '-createdAt', defaultLimit: 50 }));
   }
-
-  const orders = await Order.find(filter).sort({ createdAt: -1 }).limit(200);
-  res.json(orders);
-});
+);
 
 /**
  * @swagger
@@ -347,61 +1064,147 @@ router.get('/history', auth, async (req, res) => {
  *     security:
  *       - userAuth: []
  *     parameters:
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [pending, preparing, ready, completed]
- *         description: Filter by order status
+ *       - $ref: '#/components/parameters/OrderStatuses'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - $ref: '#/components/parameters/OrderSort'
+ *       - $ref: '#/components/parameters/OrderFrom'
+ *       - $ref: '#/components/parameters/OrderTo'
+ *       - $ref: '#/components/parameters/OrderMinAmount'
+ *       - $ref: '#/components/parameters/OrderMaxAmount'
  *     responses:
  *       200:
- *         description: List of the user's orders (most recent first) with live queue positions
+ *         description: Page of the user's orders (most recent first by default, page size 20) with live queue positions
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 allOf:
- *                   - $ref: '#/components/schemas/Order'
- *                   - type: object
- *                     properties:
- *                       queuePosition:
- *                         type: integer
- *                         nullable: true
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Order'
+ *                           - type: object
+ *                             properties:
+ *                               queuePosition:
+ *                                 type: integer
+ *                                 nullable: true
+ *                               estimatedWaitMinutes:
+ *                                 type: integer
+ *                                 nullable: true
+ *                               estimatedReadyAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 nullable: true
+ *       400:
+ *         description: Invalid filters or cursor
  *       401:
  *         description: Unauthorized (user token required)
  */
-router.get('/my', userAuth, async (req, res) => {
-  const filter = { userId: req.user.id };
-  if (req.query.status) filter.status = req.query.status;
-
-  const orders = await Order.find(filter).sort({ createdAt: -1 }).limit(50);
-
-  const result = await Promise.all(
-    orders.map(async (order) => {
-      const isActive = ['pending', 'preparing'].includes(order.status);
-      if (!isActive) return { ...order.toObject(), queuePosition: null, estimatedWaitMinutes: null };
-      const { position, estimatedMinutes } = await order.getQueuePosition();
-      return { ...order.toObject(), queuePosition: position, estimatedWaitMinutes: estimatedMinutes };
-    })
-  );
-
-  res.json(result);
+router.get('/my', userAuth, orderListValidators('-createdAt'), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const filter = orderListFilter(req, { userId: req.user.id });
+  const page = await paginate(Order, filter, req.query, { sorts: ORDER_SORTS, defaultSort: '-createdAt' });
+  const orders = page.data;
+
+  // One estimate pass per outlet queue covers all of the user's active orders
+  const estimates = new Map();
+  const activeOutletIds = [
+    ...new Set(orders.filter((o) => ['pending', 'preparing'].includes(o.status)).map((o) => String(o.outletId))),
+  ];
+  for (const outletId of activeOutletIds) {
+    const queue = await Order.findActiveQueue(outletId);
+    for (const [id, estimate] of estimateQueue(queue, await Order.estimatorOptions(outletId))) {
+      estimates.set(id, estimate);
+    }
+  }
+
+  const result = orders.map((order) => {
+    const estimate = estimates.get(order._id.toString());
+    if (!estimate) {
+      return { ...order.toObject(), queuePosition: null, estimatedWaitMinutes: null, estimatedReadyAt: null };
+    }
+    return {
+      ...order.toObject(),
+      queuePosition: estimate.queuePosition,
+      estimatedWaitMinutes: estimate.estimatedMinutes,
+      estimatedReadyAt: estimate.estimatedReadyAt,
+    };
+  });
+
+  res.json({ ...page, data: result });
 });
 
 /**
  * @swagger
- * /api/orders/{id}:
- *   get:
- *     summary: Get order status and current queue position (public)
+ * /api/orders/pickup:
+ *   post:
+ *     summary: Staff scanner — redeem a customer's pickup code and complete the ready order
  *     tags: [Orders]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     responses:
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [pickupCode]
+ *             properties:
+ *               pickupCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Missing, invalid or expired code, or order is not ready
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Pickup code was already used
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/pickup', auth, requirePermission('orders:update'), async (req, res) => {
+  const code = req.body?.pickupCode;
+
+  await withPickupCode(req, res, code, async () => {
+    const { order, nonceHash } = await verifyPickupCode(code);
+
+    if (!canAccessOutlet(req, order.outletId)) {
+      throw new PickupCodeError('wrong_outlet', 'This order belongs to a different outlet.', order._id);
+    }
+    if (order.status !== 'ready') {
+      throw new PickupCodeError('not_ready', `Order is ${order.status}, not ready for pickup.`, order._id);
+    }
+
+    await completePickup(req, order, nonceHash);
+    res.json(order);
+  });
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}:
+ *   get:
+ *     summary: Get order status and current queue position (public)
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
  *       200:
  *         description: Order details with live queue position
  *         content:
@@ -415,6 +1218,13 @@ router.get('/my', userAuth, async (req, res) => {
  *                   type: integer
  *                   nullable: true
  *                   description: null when order is ready or completed
+ *                 estimatedWaitMinutes:
+ *                   type: integer
+ *                   nullable: true
+ *                 estimatedReadyAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
  *       404:
  *         description: Order not found
  */
@@ -425,20 +1235,139 @@ router.get('/:id', async (req, res) => {
   const isActive = ['pending', 'preparing'].includes(order.status);
   let queuePosition = null;
   let estimatedWaitMinutes = null;
+  let estimatedReadyAt = null;
   if (isActive) {
     const q = await order.getQueuePosition();
     queuePosition = q.position;
     estimatedWaitMinutes = q.estimatedMinutes;
+    estimatedReadyAt = q.estimatedReadyAt;
+  }
+
+  res.json({ order, queuePosition, estimatedWaitMinutes, estimatedReadyAt });
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/timeline:
+ *   get:
+ *     summary: Get an order's status timeline (public; staff tokens also see actor ids and routes)
+ *     tags: [Orders]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status changes, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 timeline:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StatusChange'
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/timeline', async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) return res.status(404).json({ message: 'Order not found.' });
+
+  const staff = await extractAdmin(req);
+  res.json({
+    orderId: order._id,
+    status: order.status,
+    timeline: order.getTimeline({ detailed: Boolean(staff) && canAccessOutlet({ admin: staff }, order.outletId) }),
+  });
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/invoice:
+ *   get:
+ *     summary: Get an itemized, numbered invoice for an order (the customer who placed it, or staff of its outlet)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       The invoice number (INV-<OUTLET>-<YEAR>-<SEQ>) is assigned when the order is paid and never
+ *       changes. `?format=html` returns a printable page (use the browser's print / Save as PDF).
+ *       Not available for cancelled orders or orders not paid yet.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Invoice with line items, discount, service charge, tax lines and round-off
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Order is cancelled or not paid yet
+ *       401:
+ *         description: No customer or staff token
+ *       404:
+ *         description: Order not found, or not one the token can see
+ */
+router.get('/:id/invoice', async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) return res.status(404).json({ message: 'Order not found.' });
+
+  const staff = await extractAdmin(req);
+  const user = staff ? null : await extractUser(req);
+  if (!staff && !user) return res.status(401).json({ message: 'Log in to view the invoice.' });
+  const allowed = staff
+    ? canAccessOutlet({ admin: staff }, order.outletId)
+    : Boolean(order.userId) && String(order.userId) === String(user.id);
+  if (!allowed) return res.status(404).json({ message: 'Order not found.' });
+
+  if (order.status === 'cancelled') {
+    return res.status(400).json({ message: 'No invoice for an order that is cancelled.' });
+  }
+  // Orders paid before numbers were assigned at payment time get theirs now
+  if (!order.invoiceNumber && order.paymentStatus === 'paid') await assignInvoiceNumber(order);
+  if (!order.invoiceNumber) {
+    return res.status(400).json({ message: 'No invoice yet — it is issued once the order is paid.' });
   }
 
-  res.json({ order, queuePosition, estimatedWaitMinutes });
+  const outlet = order.outletId ? await Outlet.findById(order.outletId) : null;
+  const invoice = buildInvoice(order, outlet);
+
+  if (req.query.format === 'html') {
+    return res.type('html').send(renderInvoiceHtml(invoice));
+  }
+  res.json(invoice);
 });
 
 /**
  * @swagger
  * /api/orders/{id}/status:
  *   patch:
- *     summary: Update order status (admin/kitchen) — triggers real-time queue update
+ *     summary: Update order status (requires orders:update) — triggers real-time queue update
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -468,13 +1397,15 @@ router.get('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Order'
  *       400:
- *         description: Invalid status transition
+ *         description: Invalid status transition, or "ready" while some station tickets are unfinished
  *       404:
  *         description: Order not found
  *       401:
  *         description: Unauthorized
  */
 const VALID_TRANSITIONS = {
+  awaiting_payment: [], // moves to pending only through payment confirmation
+  scheduled: ['pending'], // normally released by the scheduler; staff can start it early
   pending: ['preparing'],
   preparing: ['ready'],
   ready: ['completed'],
@@ -484,13 +1415,14 @@ const VALID_TRANSITIONS = {
 router.patch(
   '/:id/status',
   auth,
+  requirePermission('orders:update'),
   [body('status').isIn(['pending', 'preparing', 'ready', 'completed']).withMessage('Invalid status')],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     const order = await Order.findById(req.params.id);
-    if (!order) return res.status(404).json({ message: 'Order not found.' });
+    if (!order || !canAccessOutlet(req, order.outletId)) return res.status(404).json({ message: 'Order not found.' });
 
     const { status } = req.body;
     const allowed = VALID_TRANSITIONS[order.status];
@@ -501,14 +1433,23 @@ router.patch(
       });
     }
 
-    order.status = status;
+    if (status === 'ready' && !order.allTicketsReady()) {
+      const waiting = order.tickets.filter((t) => t.status !== 'ready').map((t) => t.station);
+      return res.status(400).json({
+        message: `Cannot mark ready while stations are still working: ${waiting.join(', ')}.`,
+      });
+    }
+
+    order.setStatus(status, statusMeta(req));
+    if (status === 'preparing') order.startedAt = new Date();
     await order.save();
 
+    emitOrderStatus(order);
     if (status === 'ready') {
-      emitOrderReady(order._id.toString());
+      emitOrderReady(order);
     }
 
-    emitQueueUpdate();
+    emitQueueUpdate(order.outletId);
 
     res.json(order);
   }
@@ -516,35 +1457,115 @@ router.patch(
 
 /**
  * @swagger
- * /api/orders/{id}/ready:
+ * /api/orders/{id}/tickets/{station}:
  *   patch:
- *     summary: Mark an order as ready (called from app after QR scan)
+ *     summary: Update one station's ticket (requires orders:update) — the order becomes ready once every station is done
  *     tags: [Orders]
  *     security:
- *       - userAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *       - in: path
+ *         name: station
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: drinks
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [preparing, ready]
+ *                 description: "Flow: pending → preparing → ready"
  *     responses:
  *       200:
- *         description: Order marked as ready
+ *         description: Ticket updated; the order moves to preparing on the first started ticket and to ready on the last finished one
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
  *       400:
- *         description: Order cannot be moved to ready (already completed)
+ *         description: Invalid ticket transition or order is not active
  *       404:
- *         description: Order not found
+ *         description: Order or station ticket not found
+ *       401:
+ *         description: Unauthorized
  */
+const TICKET_TRANSITIONS = {
+  pending: ['preparing'],
+  preparing: ['ready'],
+  ready: [],
+};
+
+router.patch(
+  '/:id/tickets/:station',
+  auth,
+  requirePermission('orders:update'),
+  [body('status').isIn(['preparing', 'ready']).withMessage('Invalid ticket status')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const order = await Order.findById(req.params.id);
+    if (!order || !canAccessOutlet(req, order.outletId)) return res.status(404).json({ message: 'Order not found.' });
+
+    if (!['pending', 'preparing'].includes(order.status)) {
+      return res.status(400).json({ message: `Order is ${order.status}; its tickets can no longer change.` });
+    }
+
+    const ticket = order.tickets.find((t) => t.station === req.params.station);
+    if (!ticket) {
+      return res.status(404).json({ message: `Order has no ticket for station "${req.params.station}".` });
+    }
+
+    const { status } = req.body;
+    const allowed = TICKET_TRANSITIONS[ticket.status];
+    if (!allowed.includes(status)) {
+      return res.status(400).json({
+        message: `Cannot move ticket from "${ticket.status}" to "${status}".`,
+      });
+    }
+
+    ticket.status = status;
+    if (status === 'preparing') ticket.startedAt = new Date();
+    if (status === 'ready') ticket.readyAt = new Date();
+
+    // First station to start moves the whole order to preparing; the last to finish makes it ready
+    const previousStatus = order.status;
+    if (order.status === 'pending') {
+      order.setStatus('preparing', statusMeta(req));
+      order.startedAt = new Date();
+    }
+    if (order.allTicketsReady()) order.setStatus('ready', statusMeta(req));
+
+    await order.save();
+
+    if (order.status !== previousStatus) emitOrderStatus(order);
+    if (order.status === 'ready') {
+      emitOrderReady(order);
+    }
+
+    emitQueueUpdate(order.outletId);
+
+    res.json(order);
+  }
+);
+
 /**
  * @swagger
  * /api/orders/{id}/cancel:
  *   patch:
- *     summary: Cancel an order (admin only) — only pending or preparing orders can be cancelled
+ *     summary: Cancel an order (requires orders:cancel) — only unpaid, scheduled, pending or preparing orders can be cancelled
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -554,60 +1575,272 @@ router.patch(
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the order's status timeline
+ *                 example: Customer left
  *     responses:
  *       200:
- *         description: Order cancelled
+ *         description: Order cancelled, with the refund record if it had been paid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Order'
+ *                 - type: object
+ *                   properties:
+ *                     refund:
+ *                       $ref: '#/components/schemas/Refund'
  *       400:
  *         description: Order cannot be cancelled (already ready/completed/cancelled)
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: The order's status changed (e.g. someone else cancelled it) while cancelling
  */
-router.patch('/:id/cancel', auth, requireRole('admin'), async (req, res) => {
+router.patch('/:id/cancel', auth, requirePermission('orders:cancel'), async (req, res) => {
   const order = await Order.findById(req.params.id);
-  if (!order) return res.status(404).json({ message: 'Order not found.' });
+  if (!order || !canAccessOutlet(req, order.outletId)) return res.status(404).json({ message: 'Order not found.' });
 
-  if (!['pending', 'preparing'].includes(order.status)) {
+  if (!CANCELLABLE.includes(order.status)) {
     return res.status(400).json({
       message: `Cannot cancel an order with status "${order.status}".`,
     });
   }
 
-  order.status = 'cancelled';
-  await order.save();
+  const reason = req.body?.reason || null;
+  const cancelled = await cancelOrder(order, statusMeta(req, { reason }));
+  if (!cancelled) {
+    return res.status(409).json({ message: 'The order changed while it was being cancelled. Reload it and try again.' });
+  }
+  res.json({ ...cancelled.order.toJSON(), refund: cancelled.refund });
+});
 
-  emitQueueUpdate();
+/**
+ * @swagger
+ * /api/orders/my/{id}/cancel:
+ *   patch:
+ *     summary: Cancel your own order — only before the kitchen starts and within the cancellation window
+ *     tags: [Orders]
+ *     description: |
+ *       Allowed while the order is still unpaid, scheduled or pending, and no later than
+ *       CUSTOMER_CANCEL_WINDOW_MINUTES (default 5) after it was placed. If the order was
+ *       already paid, a refund record is created against its payment.
+ *     security:
+ *       - userAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Ordered the wrong item
+ *     responses:
+ *       200:
+ *         description: Order cancelled, with the refund record if one was created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Order'
+ *                 - type: object
+ *                   properties:
+ *                     refund:
+ *                       $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Missing reason, order already in the kitchen, or cancellation window has passed
+ *       404:
+ *         description: Order not found (or not yours)
+ *       409:
+ *         description: The order's status changed (e.g. the kitchen started it) while cancelling
+ *       401:
+ *         description: Unauthorized (user token required)
+ */
+// Customers can cancel only before the kitchen starts
+const CUSTOMER_CANCELLABLE = ['awaiting_payment', 'scheduled', 'pending'];
 
-  res.json(order);
-});
+const customerCancelWindowMinutes = () => {
+  const n = parseFloat(process.env.CUSTOMER_CANCEL_WINDOW_MINUTES);
+  return Number.isFinite(n) && n >= 0 ? n : 5;
+};
 
-router.patch('/:id/ready', userAuth, async (req, res) => {
-  const order = await Order.findById(req.params.id);
-  if (!order) return res.status(404).json({ message: 'Order not found.' });
+router.patch(
+  '/my/:id/cancel',
+  userAuth,
+  [body('reason').trim().notEmpty().withMessage('A cancellation reason is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-  if (order.status === 'completed') {
-    return res.status(400).json({ message: 'Order is already completed.' });
-  }
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!order) return res.status(404).json({ message: 'Order not found.' });
 
-  if (order.status === 'cancelled') {
-    return res.status(400).json({ message: 'Order is cancelled.' });
-  }
+    if (!CUSTOMER_CANCELLABLE.includes(order.status)) {
+      return res.status(400).json({
+        message: `Cannot cancel an order with status "${order.status}". Please ask at the counter.`,
+      });
+    }
 
-  // QR scan on a ready order → complete it (customer confirmed pickup)
-  if (order.status === 'ready') {
-    order.status = 'completed';
-    await order.save();
-    emitQueueUpdate();
-    return res.json(order);
+    const windowMinutes = customerCancelWindowMinutes();
+    if (Date.now() - order.createdAt.getTime() > windowMinutes * 60000) {
+      return res.status(400).json({
+        message: `Orders can only be cancelled within ${windowMinutes} minutes of placing them.`,
+      });
+    }
+
+    const { reason } = req.body;
+    const cancelled = await cancelOrder(order, statusMeta(req, { reason }), { from: CUSTOMER_CANCELLABLE });
+    if (!cancelled) {
+      return res.status(409).json({ message: 'The order changed while it was being cancelled. Reload it and try again.' });
+    }
+    res.json({ ...cancelled.order.toJSON(), refund: cancelled.refund });
   }
+);
 
-  // QR scan on pending/preparing → mark ready first
-  order.status = 'ready';
+// ─── Helper: redeem a verified pickup code and complete the order ─────────────
+const completePickup = async (req, order, nonceHash) => {
+  await consumePickupCode(order, nonceHash);
+  order.setStatus('completed', statusMeta(req));
   await order.save();
+  emitOrderStatus(order);
+  emitQueueUpdate(order.outletId);
+};
 
-  emitOrderReady(order._id.toString());
-  emitQueueUpdate();
+/**
+ * @swagger
+ * /api/orders/{id}/ready:
+ *   patch:
+ *     summary: Customer QR flow — present the order's pickup code to complete a ready order
+ *     tags: [Orders]
+ *     description: |
+ *       Only the customer who placed the order can call this, only with that order's pickup code,
+ *       and only once the kitchen has marked the order ready. The code is redeemed (single use)
+ *       and the order is completed. Every rejected attempt is logged, including one for an order that is not ready.
+ *     security:
+ *       - userAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [pickupCode]
+ *             properties:
+ *               pickupCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Missing, invalid, expired or mismatched pickup code, or the order is not ready yet
+ *       403:
+ *         description: Order belongs to another customer
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Pickup code was already used
+ */
+// What the customer is told when their order can't be picked up yet (or any more)
+const NOT_READY_MESSAGES = {
+  completed: 'Order is already completed.',
+  cancelled: 'Order is cancelled.',
+  awaiting_payment: 'Order has not been paid yet.',
+  scheduled: 'Order is scheduled for a later pickup slot.',
+  default: 'Order is not ready yet. Please wait until it is called.',
+};
+
+router.patch('/:id/ready', userAuth, async (req, res) => {
+  const code = req.body?.pickupCode;
+
+  await withPickupCode(req, res, code, async () => {
+    const { order, nonceHash } = await verifyPickupCode(code, { orderId: req.params.id });
+
+    if (!order.userId || order.userId.toString() !== req.user.id) {
+      throw new PickupCodeError('not_owner', 'This order belongs to another customer.', order._id);
+    }
+
+    // Only the kitchen moves an order to ready; the customer's code just confirms pickup.
+    // Rejections are logged like POST /pickup's, so the pickup audit trail is complete
+    if (order.status !== 'ready') {
+      throw new PickupCodeError('not_ready', NOT_READY_MESSAGES[order.status] || NOT_READY_MESSAGES.default, order._id);
+    }
+
+    await completePickup(req, order, nonceHash);
+    res.json(order);
+  });
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/pickup-code:
+ *   post:
+ *     summary: Issue a fresh pickup code for your own order (the previous code stops working)
+ *     tags: [Orders]
+ *     security:
+ *       - userAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New pickup code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pickupCode:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Order is already completed or cancelled
+ *       404:
+ *         description: Order not found (or not yours)
+ */
+router.post('/:id/pickup-code', userAuth, async (req, res) => {
+  const order = await Order.findOne({ _id: req.params.id, userId: req.user.id }).select('+pickup');
+  if (!order) return res.status(404).json({ message: 'Order not found.' });
+
+  if (['completed', 'cancelled'].includes(order.status)) {
+    return res.status(400).json({ message: `Order is ${order.status}; no pickup code needed.` });
+  }
+
+  const pickupCode = issuePickupCode(order);
+  await order.save();
 
-  res.json(order);
+  res.json({ pickupCode, expiresAt: order.pickup.expiresAt });
 });
 
 module.exports = router;
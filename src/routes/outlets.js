@@ -0,0 +1,224 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Outlet = require('../models/Outlet');
+const { auth, requirePermission } = require('../middleware/auth');
+const { requireOrgAdmin } = require('../middleware/outlet');
+const { validTimezone } = require('../availability');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Outlets
+ *   description: Canteens/outlets — each has its own menu, queue, pickup slots and staff
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Outlet:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Main Block Canteen
+ *         code:
+ *           type: string
+ *           example: main-block
+ *         address:
+ *           type: string
+ *         timezone:
+ *           type: string
+ *           example: Asia/Kolkata
+ *           description: IANA timezone the outlet's schedules, pickup slots and reports use
+ *         parallelSlots:
+ *           type: integer
+ *           nullable: true
+ *           description: Orders the kitchen works on at once (wait estimates); null uses KITCHEN_PARALLEL_SLOTS
+ *         serviceChargeRate:
+ *           type: number
+ *           description: Service charge in percent of the pre-tax amount (0 = none)
+ *         roundingMode:
+ *           type: string
+ *           enum: [none, nearest, up, down]
+ *           description: How order totals are rounded to a whole currency unit
+ *         isActive:
+ *           type: boolean
+ */
+
+const outletValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required'),
+    field('code')
+      .trim()
+      .matches(/^[a-z0-9-]+$/i)
+      .withMessage('code may only contain letters, digits and dashes'),
+    body('address').optional().isString().trim(),
+    body('timezone').optional().isString().trim().custom(validTimezone).withMessage('timezone must be an IANA timezone, e.g. Asia/Kolkata'),
+    body('parallelSlots').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('parallelSlots must be a positive integer'),
+    body('serviceChargeRate').optional().isFloat({ min: 0, max: 100 }).withMessage('serviceChargeRate must be a percentage between 0 and 100'),
+    body('roundingMode').optional().isIn(['none', 'nearest', 'up', 'down']).withMessage('roundingMode must be none, nearest, up or down'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ];
+};
+
+/**
+ * @swagger
+ * /api/outlets:
+ *   get:
+ *     summary: List active outlets (public) — the app lets the customer pick one
+ *     tags: [Outlets]
+ *     responses:
+ *       200:
+ *         description: Active outlets by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Outlet'
+ */
+router.get('/', async (_req, res) => {
+  const outlets = await Outlet.find({ isActive: true }).sort({ name: 1 });
+  res.json(outlets);
+});
+
+/**
+ * @swagger
+ * /api/outlets/{id}:
+ *   get:
+ *     summary: Get an outlet by ID (public)
+ *     tags: [Outlets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Outlet found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Outlet'
+ *       404:
+ *         description: Outlet not found
+ */
+router.get('/:id', async (req, res) => {
+  const outlet = await Outlet.findById(req.params.id);
+  if (!outlet) return res.status(404).json({ message: 'Outlet not found.' });
+  res.json(outlet);
+});
+
+/**
+ * @swagger
+ * /api/outlets:
+ *   post:
+ *     summary: Create an outlet (requires outlets:write and an organisation-wide account)
+ *     tags: [Outlets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Outlet'
+ *     responses:
+ *       201:
+ *         description: Outlet created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Outlet'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Code already in use
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Staff account is tied to an outlet
+ */
+router.post('/', auth, requirePermission('outlets:write'), requireOrgAdmin, outletValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { name, code, address, timezone, parallelSlots, serviceChargeRate, roundingMode, isActive } = req.body;
+  if (await Outlet.exists({ code: code.toLowerCase() })) {
+    return res.status(409).json({ message: `Outlet code "${code}" is already in use.` });
+  }
+
+  const outlet = await Outlet.create({
+    name, code, address, timezone, parallelSlots, serviceChargeRate, roundingMode, isActive,
+  });
+  res.status(201).json(outlet);
+});
+
+/**
+ * @swagger
+ * /api/outlets/{id}:
+ *   put:
+ *     summary: Update an outlet (requires outlets:write and an organisation-wide account)
+ *     tags: [Outlets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Outlet'
+ *     responses:
+ *       200:
+ *         description: Outlet updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Outlet'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Outlet not found
+ *       409:
+ *         description: Code already in use
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Staff account is tied to an outlet
+ */
+router.put('/:id', auth, requirePermission('outlets:write'), requireOrgAdmin, outletValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const outlet = await Outlet.findById(req.params.id);
+  if (!outlet) return res.status(404).json({ message: 'Outlet not found.' });
+
+  if (req.body.code && await Outlet.exists({ _id: { $ne: outlet._id }, code: req.body.code.toLowerCase() })) {
+    return res.status(409).json({ message: `Outlet code "${req.body.code}" is already in use.` });
+  }
+
+  const allowed = [
+    'name', 'code', 'address', 'timezone', 'parallelSlots', 'serviceChargeRate', 'roundingMode', 'isActive',
+  ];
+  for (const [k, v] of Object.entries(req.body)) {
+    if (allowed.includes(k)) outlet[k] = v;
+  }
+
+  await outlet.save();
+  res.json(outlet);
+});
+
+module.exports = router;
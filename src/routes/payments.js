@@ -0,0 +1,404 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { auth, requirePermission } = require('../middleware/auth');
+const { staffOutletFilter, canAccessOutlet } = require('../middleware/outlet');
+const { getProvider, createPaymentIntent, applyPaymentResult } = require('../payments');
+const { assignInvoiceNumber } = require('../billing');
+const { pageValidators, paginate, dateRange, listFilter, listValidator } = require('../listing');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Payment intents, verification and provider callbacks
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaymentIntent:
+ *       type: object
+ *       description: Present only for UPI/card orders that still need to be paid
+ *       properties:
+ *         paymentId:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           example: mock
+ *         method:
+ *           type: string
+ *           enum: [upi, card]
+ *         amount:
+ *           type: number
+ *         clientData:
+ *           type: object
+ *           description: Provider-specific data the app needs to complete payment (e.g. upiUri)
+ *     Refund:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         _id:
+ *           type: string
+ *         orderId:
+ *           type: string
+ *         paymentId:
+ *           type: string
+ *           nullable: true
+ *         method:
+ *           type: string
+ *           enum: [upi, card, cash]
+ *         amount:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [pending, processed, failed]
+ *           description: Cash refunds stay pending until staff hand the money back
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+const intentResponse = (payment) => ({
+  paymentId: payment._id,
+  provider: payment.provider,
+  method: payment.method,
+  amount: payment.amount,
+  clientData: payment.clientData,
+});
+
+/**
+ * @swagger
+ * /api/payments/intents:
+ *   post:
+ *     summary: Create a fresh payment intent for an unpaid UPI/card order (e.g. after a failed attempt)
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderId]
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment intent created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaymentIntent'
+ *       400:
+ *         description: Order is not awaiting online payment
+ *       404:
+ *         description: Order not found
+ */
+router.post(
+  '/intents',
+  [body('orderId').isMongoId().withMessage('A valid orderId is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const order = await Order.findById(req.body.orderId);
+    if (!order) return res.status(404).json({ message: 'Order not found.' });
+
+    if (order.status !== 'awaiting_payment' || order.paymentMethod === 'cash') {
+      return res.status(400).json({ message: 'This order is not awaiting online payment.' });
+    }
+
+    const payment = await createPaymentIntent(order);
+    res.status(201).json(intentResponse(payment));
+  }
+);
+
+/**
+ * @swagger
+ * /api/payments/verify:
+ *   post:
+ *     summary: Verify a payment from the client after checkout — releases the order into the queue on success
+ *     tags: [Payments]
+ *     description: |
+ *       `payload` is passed to the active provider as-is. For the mock provider send
+ *       `{ "outcome": "success" }` or `{ "outcome": "failure" }`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentId]
+ *             properties:
+ *               paymentId:
+ *                 type: string
+ *               payload:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Verification result with the updated order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [succeeded, failed]
+ *                 reason:
+ *                   type: string
+ *                   nullable: true
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Payment not found
+ */
+router.post(
+  '/verify',
+  [body('paymentId').isMongoId().withMessage('A valid paymentId is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const payment = await Payment.findById(req.body.paymentId);
+    if (!payment) return res.status(404).json({ message: 'Payment not found.' });
+
+    if (payment.status === 'succeeded') {
+      const order = await Order.findById(payment.orderId);
+      return res.json({ status: payment.status, reason: null, order });
+    }
+
+    const result = await getProvider(payment.provider).verify({
+      providerRef: payment.providerRef,
+      payload: req.body.payload,
+    });
+    const order = await applyPaymentResult(payment, result);
+
+    res.json({ status: payment.status, reason: payment.failureReason, order });
+  }
+);
+
+/**
+ * @swagger
+ * /api/payments/callback/{provider}:
+ *   post:
+ *     summary: Server-to-server payment callback (webhook) from a payment provider
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: mock
+ *     responses:
+ *       200:
+ *         description: Callback processed
+ *       400:
+ *         description: Unknown provider or malformed callback
+ *       404:
+ *         description: No payment matches the callback reference
+ */
+router.post('/callback/:provider', async (req, res) => {
+  let provider;
+  try {
+    provider = getProvider(req.params.provider);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  const result = await provider.parseCallback(req);
+  if (!result) return res.status(400).json({ message: 'Malformed callback.' });
+
+  const payment = await Payment.findOne({ provider: provider.name, providerRef: result.providerRef });
+  if (!payment) return res.status(404).json({ message: 'Payment not found.' });
+
+  await applyPaymentResult(payment, result);
+  res.json({ received: true });
+});
+
+/**
+ * @swagger
+ * /api/payments/cash/{orderId}:
+ *   patch:
+ *     summary: Record that a cash order was paid at the counter (requires payments:collect)
+ *     description: Also gives the order its invoice number.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order marked as paid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Not a cash order or already paid
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is cancelled, or was cancelled or settled meanwhile
+ *       401:
+ *         description: Unauthorized
+ */
+// Statuses a cash order can be paid in — anything but cancelled
+const CASH_PAYABLE = ['scheduled', 'pending', 'preparing', 'ready', 'completed'];
+
+router.patch('/cash/:orderId', auth, requirePermission('payments:collect'), async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+  if (!order || !canAccessOutlet(req, order.outletId)) return res.status(404).json({ message: 'Order not found.' });
+
+  if (order.paymentMethod !== 'cash') {
+    return res.status(400).json({ message: 'Only cash orders can be settled at the counter.' });
+  }
+  if (order.paymentStatus === 'paid') {
+    return res.status(400).json({ message: 'Order is already paid.' });
+  }
+
+  // Conditional so a cancel landing meanwhile can't end up with cash recorded against it
+  const paid = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: CASH_PAYABLE }, paymentStatus: { $ne: 'paid' } },
+    { $set: { paymentStatus: 'paid' } },
+    { returnDocument: 'after' }
+  );
+  if (!paid) {
+    return res.status(409).json({ message: "The order is cancelled or was just settled, so cash can't be recorded against it." });
+  }
+  await assignInvoiceNumber(paid);
+
+  res.json(paid);
+});
+
+const REFUND_SORTS = { createdAt: ['createdAt'] };
+
+/**
+ * @swagger
+ * /api/payments/refunds:
+ *   get:
+ *     summary: List refunds, newest first (requires payments:read)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           example: pending,failed
+ *         description: Comma-separated refund statuses (pending, processed, failed)
+ *       - $ref: '#/components/parameters/OrderFrom'
+ *       - $ref: '#/components/parameters/OrderTo'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: Page of refund records (default page size 50)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Invalid filters or cursor
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/refunds',
+  auth,
+  requirePermission('payments:read'),
+  [
+    ...pageValidators(REFUND_SORTS, '-createdAt'),
+    listValidator('status', Refund.schema.path('status').enumValues),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const filter = staffOutletFilter(req);
+    if (req.query.status) filter.status = listFilter(req.query.status);
+    const createdAt = dateRange(req.query.from, req.query.to);
+    if (createdAt) filter.createdAt = createdAt;
+    res.json(await paginate(Refund, filter, req.query, { sorts: REFUND_SORTS, defaultSort: '-createdAt', defaultLimit: 50 }));
+  }
+);
+
+/**
+ * @swagger
+ * /api/payments/refunds/{id}:
+ *   patch:
+ *     summary: Mark a pending cash refund as handed back at the counter (requires payments:collect)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refund processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Refund is not a pending cash refund
+ *       404:
+ *         description: Refund not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/refunds/:id', auth, requirePermission('payments:collect'), async (req, res) => {
+  const refund = await Refund.findById(req.params.id);
+  if (!refund || !canAccessOutlet(req, refund.outletId)) return res.status(404).json({ message: 'Refund not found.' });
+
+  if (refund.method !== 'cash' || refund.status !== 'pending') {
+    return res.status(400).json({ message: 'Only pending cash refunds can be settled at the counter.' });
+  }
+
+  refund.status = 'processed';
+  refund.processedAt = new Date();
+  await refund.save();
+
+  await Order.updateOne({ _id: refund.orderId }, { $set: { paymentStatus: 'refunded' } });
+
+  res.json(refund);
+});
+
+module.exports = router;
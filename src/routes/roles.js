@@ -0,0 +1,266 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const Admin = require('../models/Admin');
+const { auth, requirePermission } = require('../middleware/auth');
+const { requireOrgAdmin } = require('../middleware/outlet');
+const { PERMISSIONS, canGrant } = require('../permissions');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Named permission sets given to staff accounts (staff:manage permission)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: cashier
+ *           description: What staff accounts put in their role field — can't be changed once created
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [menu:write, menu:stock, orders:read, orders:history, orders:update, orders:cancel, payments:collect, payments:read, reports:read, slots:write, coupons:write, taxes:write, outlets:write, staff:manage]
+ *           example: [orders:read, orders:update, orders:cancel, payments:collect]
+ *         isSystem:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Built-in admin role — always holds every permission and can't be edited or deleted
+ */
+
+const roleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    ...(optional ? [] : [
+      body('name').isString().trim().toLowerCase().matches(/^[a-z0-9_-]{2,32}$/).withMessage('name must be 2-32 lowercase letters, digits, - or _'),
+    ]),
+    body('description').optional().isString().trim(),
+    field('permissions').isArray().withMessage('permissions must be an array'),
+    body('permissions.*').isIn(PERMISSIONS).withMessage(`permissions entries must be one of: ${PERMISSIONS.join(', ')}`),
+  ];
+};
+
+// ─── Helper: load a role the requesting staff member may change ───────────────
+// Returns { role } or { status, message } to send back
+const findEditableRole = async (req) => {
+  const role = mongoose.isValidObjectId(req.params.id) ? await Role.findById(req.params.id) : null;
+  if (!role) return { status: 404, message: 'Role not found.' };
+  if (role.isSystem) return { status: 400, message: `The ${role.name} role is built in and can't be changed.` };
+  if (!(await canGrant(req.admin, role.permissions))) {
+    return { status: 403, message: `Forbidden. The ${role.name} role has permissions you don't hold.` };
+  }
+  return { role };
+};
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List roles (requires staff:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Every role, by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Role'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', auth, requirePermission('staff:manage'), async (req, res) => {
+  res.json(await Role.find().sort({ name: 1 }));
+});
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: List every permission a role can grant (requires staff:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission names
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/permissions', auth, requirePermission('staff:manage'), (req, res) => {
+  res.json(PERMISSIONS);
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role (requires staff:manage and an organisation-wide account)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Role'
+ *     responses:
+ *       201:
+ *         description: Role created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not an organisation-wide account, or the role grants permissions you don't hold
+ *       409:
+ *         description: Name already taken
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', auth, requirePermission('staff:manage'), requireOrgAdmin, roleValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { name, description, permissions } = req.body;
+  if (!(await canGrant(req.admin, permissions))) {
+    return res.status(403).json({ message: "Forbidden. A role can't grant permissions you don't hold." });
+  }
+  if (await Role.exists({ name })) return res.status(409).json({ message: `Role ${name} already exists.` });
+
+  const role = await Role.create({ name, description, permissions: [...new Set(permissions)] });
+  res.status(201).json(role);
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   put:
+ *     summary: Change a role's description or permissions (requires staff:manage and an organisation-wide account)
+ *     description: Takes effect on the next request of every account with the role — nobody has to log in again.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Validation error, or the role is built in
+ *       403:
+ *         description: Not an organisation-wide account, or the role (before or after) has permissions you don't hold
+ *       404:
+ *         description: Role not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', auth, requirePermission('staff:manage'), requireOrgAdmin, roleValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { role, status, message } = await findEditableRole(req);
+  if (!role) return res.status(status).json({ message });
+
+  if (req.body.permissions !== undefined) {
+    if (!(await canGrant(req.admin, req.body.permissions))) {
+      return res.status(403).json({ message: "Forbidden. A role can't grant permissions you don't hold." });
+    }
+    role.permissions = [...new Set(req.body.permissions)];
+  }
+  if (req.body.description !== undefined) role.description = req.body.description;
+
+  await role.save();
+  res.json(role);
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   delete:
+ *     summary: Delete a role no staff account has (requires staff:manage and an organisation-wide account)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: The role is built in
+ *       403:
+ *         description: Not an organisation-wide account, or the role has permissions you don't hold
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Staff accounts still have the role
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', auth, requirePermission('staff:manage'), requireOrgAdmin, async (req, res) => {
+  const { role, status, message } = await findEditableRole(req);
+  if (!role) return res.status(status).json({ message });
+
+  const holders = await Admin.countDocuments({ role: role.name });
+  if (holders) {
+    return res.status(409).json({ message: `${holders} staff account(s) still have the ${role.name} role. Give them another role first.` });
+  }
+
+  await role.deleteOne();
+  res.json({ message: 'Role deleted.' });
+});
+
+module.exports = router;
@@ -0,0 +1,320 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const PickupSlot = require('../models/PickupSlot');
+const { auth, requirePermission } = require('../middleware/auth');
+const { resolveOutlet, staffOutletFilter, staffTargetOutlet } = require('../middleware/outlet');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Slots
+ *   description: Pickup time slots for scheduled pre-orders
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PickupSlot:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         outletId:
+ *           type: string
+ *         label:
+ *           type: string
+ *           example: Lunch 1
+ *         startTime:
+ *           type: string
+ *           example: "12:30"
+ *         endTime:
+ *           type: string
+ *           example: "12:45"
+ *         capacity:
+ *           type: integer
+ *           description: Max orders per day in this slot
+ *           example: 20
+ *         daysOfWeek:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: 0 = Sunday … 6 = Saturday
+ *         isActive:
+ *           type: boolean
+ *     SlotAvailability:
+ *       type: object
+ *       properties:
+ *         slotId:
+ *           type: string
+ *         label:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         start:
+ *           type: string
+ *           format: date-time
+ *         end:
+ *           type: string
+ *           format: date-time
+ *         capacity:
+ *           type: integer
+ *         remaining:
+ *           type: integer
+ */
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const slotValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('startTime').matches(HHMM).withMessage('startTime must be HH:mm'),
+    field('endTime').matches(HHMM).withMessage('endTime must be HH:mm'),
+    field('capacity').isInt({ min: 1 }).withMessage('capacity must be a positive integer'),
+    body('daysOfWeek').optional().isArray({ min: 1 }).withMessage('daysOfWeek must be a non-empty array'),
+    body('daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('daysOfWeek entries must be 0-6'),
+    body('label').optional().isString().trim(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ];
+};
+
+/**
+ * @swagger
+ * /api/slots:
+ *   get:
+ *     summary: List an outlet's pickup slots that can still be booked on a day (public)
+ *     tags: [Slots]
+ *     parameters:
+ *       - in: query
+ *         name: outletId
+ *         schema:
+ *           type: string
+ *         description: Outlet to list slots for (optional when only one outlet is active)
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-01-15"
+ *         description: Day to check (YYYY-MM-DD, in the outlet's timezone). Defaults to today there.
+ *     responses:
+ *       200:
+ *         description: Bookable slots in start-time order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SlotAvailability'
+ *       400:
+ *         description: Invalid date, or outletId missing while several outlets are active
+ *       404:
+ *         description: Outlet not found
+ */
+router.get(
+  '/',
+  resolveOutlet,
+  [query('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('date must be YYYY-MM-DD')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const date = req.query.date || PickupSlot.localDate(req.outlet.timezone);
+    const slots = await PickupSlot.find({ outletId: req.outlet._id, isActive: true }).sort({ startTime: 1 });
+
+    const result = [];
+    for (const slot of slots) {
+      const availability = await slot.availabilityOn(date, req.outlet.timezone);
+      if (!availability.bookable) continue;
+      result.push({
+        slotId: slot._id,
+        label: slot.label,
+        date,
+        start: availability.start,
+        end: availability.end,
+        capacity: slot.capacity,
+        remaining: availability.remaining,
+      });
+    }
+
+    res.json(result);
+  }
+);
+
+/**
+ * @swagger
+ * /api/slots/all:
+ *   get:
+ *     summary: List all configured pickup slots including inactive ones (requires slots:write)
+ *     tags: [Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PickupSlot'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/all', auth, requirePermission('slots:write'), async (req, res) => {
+  const slots = await PickupSlot.find(staffOutletFilter(req)).sort({ startTime: 1 });
+  res.json(slots);
+});
+
+/**
+ * @swagger
+ * /api/slots:
+ *   post:
+ *     summary: Create a pickup slot (requires slots:write)
+ *     tags: [Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startTime, endTime, capacity]
+ *             properties:
+ *               outletId:
+ *                 type: string
+ *                 description: Required for org-wide admins; outlet staff always create slots in their own outlet
+ *               label:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 example: "12:30"
+ *               endTime:
+ *                 type: string
+ *                 example: "12:45"
+ *               capacity:
+ *                 type: integer
+ *                 example: 20
+ *               daysOfWeek:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Slot created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PickupSlot'
+ *       400:
+ *         description: Validation error or missing outletId
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', auth, requirePermission('slots:write'), slotValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { label, startTime, endTime, capacity, daysOfWeek, isActive } = req.body;
+  if (endTime <= startTime) {
+    return res.status(400).json({ message: 'endTime must be after startTime.' });
+  }
+
+  const outlet = await staffTargetOutlet(req);
+  if (!outlet) return res.status(400).json({ message: 'A valid outletId is required.' });
+
+  const slot = await PickupSlot.create({
+    outletId: outlet._id, label, startTime, endTime, capacity, daysOfWeek, isActive,
+  });
+  res.status(201).json(slot);
+});
+
+/**
+ * @swagger
+ * /api/slots/{id}:
+ *   put:
+ *     summary: Update a pickup slot (requires slots:write) — existing bookings keep their window
+ *     tags: [Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PickupSlot'
+ *     responses:
+ *       200:
+ *         description: Slot updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PickupSlot'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Slot not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', auth, requirePermission('slots:write'), slotValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const slot = await PickupSlot.findOne({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!slot) return res.status(404).json({ message: 'Pickup slot not found.' });
+
+  const allowed = ['label', 'startTime', 'endTime', 'capacity', 'daysOfWeek', 'isActive'];
+  for (const [k, v] of Object.entries(req.body)) {
+    if (allowed.includes(k)) slot[k] = v;
+  }
+
+  if (slot.endTime <= slot.startTime) {
+    return res.status(400).json({ message: 'endTime must be after startTime.' });
+  }
+
+  await slot.save();
+  res.json(slot);
+});
+
+/**
+ * @swagger
+ * /api/slots/{id}:
+ *   delete:
+ *     summary: Delete a pickup slot (requires slots:write) — existing bookings keep their window
+ *     tags: [Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Slot deleted
+ *       404:
+ *         description: Slot not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', auth, requirePermission('slots:write'), async (req, res) => {
+  const slot = await PickupSlot.findOneAndDelete({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!slot) return res.status(404).json({ message: 'Pickup slot not found.' });
+  res.json({ message: 'Pickup slot deleted.' });
+});
+
+module.exports = router;
@@ -0,0 +1,429 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Admin = require('../models/Admin');
+const Role = require('../models/Role');
+const { auth, requirePermission } = require('../middleware/auth');
+const { staffOutletFilter, staffWriteOutletId } = require('../middleware/outlet');
+const { pageValidators, paginate } = require('../listing');
+const { endAllSessions } = require('../sessions');
+const { canGrant } = require('../permissions');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Staff
+ *   description: Staff accounts (staff:manage permission)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Staff:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         username:
+ *           type: string
+ *           example: kitchen1
+ *         role:
+ *           type: string
+ *           example: kitchen
+ *           description: Name of a role from /api/roles — decides what the account may do
+ *         outletId:
+ *           type: string
+ *           nullable: true
+ *           description: Outlet the staff member works at (null = organisation-wide admin)
+ *         phone:
+ *           type: string
+ *           nullable: true
+ *           description: 10-digit number password reset codes are texted to
+ *         isActive:
+ *           type: boolean
+ *           description: Disabled accounts can't log in and their tokens stop working at once
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *     NewStaff:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Staff'
+ *         - type: object
+ *           required: [username, password, role]
+ *           properties:
+ *             password:
+ *               type: string
+ *               minLength: 6
+ *               writeOnly: true
+ */
+
+const staffValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('username').isString().trim().matches(/^[A-Za-z0-9_.-]{3,32}$/).withMessage('username must be 3-32 letters, digits, ., - or _'),
+    field('role').isString().trim().toLowerCase().notEmpty().withMessage('role must be a role name'),
+    body('outletId').optional({ values: 'null' }).isMongoId().withMessage('outletId must be a valid ID'),
+    body('phone').optional({ values: 'null' }).isString().trim().matches(/^\d{10}$/).withMessage('phone must be a 10-digit number'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ];
+};
+
+const passwordValidator = (name) =>
+  body(name).isString().isLength({ min: 6 }).withMessage(`${name} must be at least 6 characters`);
+
+const EDITABLE = ['username', 'role', 'phone', 'isActive'];
+
+// Changing any of these changes what the account's tokens say or allow, so it is logged out
+const SESSION_FIELDS = ['username', 'role', 'outletId', 'isActive'];
+
+const STAFF_SORTS = { createdAt: ['createdAt'], username: ['username'] };
+
+const isSelf = (req, account) => String(account._id) === String(req.admin.id);
+
+// ─── Helper: may the requesting staff member hand out (or manage holders of) a role? ─
+// Nobody can give out or act on permissions they don't hold themselves. Returns
+// { status, message } to send back, or null
+const roleProblem = async (req, roleName) => {
+  const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+  if (!role) return { status: 400, message: `Unknown role "${roleName}".` };
+  if (!(await canGrant(req.admin, role.permissions))) {
+    return { status: 403, message: `Forbidden. The ${roleName} role has permissions you don't hold.` };
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/staff:
+ *   get:
+ *     summary: List staff accounts (requires staff:manage)
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: outletId
+ *         schema:
+ *           type: string
+ *         description: Org-wide admins only — one outlet's staff
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, username, -username]
+ *           default: username
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: Page of staff accounts (default page size 50) — outlet admins see their outlet's staff only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Staff'
+ *       400:
+ *         description: Invalid filters or cursor
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  auth,
+  requirePermission('staff:manage'),
+  [
+    ...pageValidators(STAFF_SORTS, 'username'),
+    query('role').optional().isString().trim().toLowerCase(),
+    query('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    query('outletId').optional().isMongoId().withMessage('outletId must be a valid ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const filter = staffOutletFilter(req);
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    res.json(await paginate(Admin, filter, req.query, { sorts: STAFF_SORTS, defaultSort: 'username', defaultLimit: 50 }));
+  }
+);
+
+/**
+ * @swagger
+ * /api/staff/{id}:
+ *   get:
+ *     summary: Get a staff account (requires staff:manage)
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Staff account found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Staff'
+ *       404:
+ *         description: Staff account not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', auth, requirePermission('staff:manage'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Staff account not found.' });
+  const account = await Admin.findOne({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!account) return res.status(404).json({ message: 'Staff account not found.' });
+  res.json(account);
+});
+
+/**
+ * @swagger
+ * /api/staff:
+ *   post:
+ *     summary: Create a staff account (requires staff:manage)
+ *     description: Outlet admins always create accounts at their own outlet; org-wide admins may pass outletId or leave it out for an org-wide account.
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NewStaff'
+ *     responses:
+ *       201:
+ *         description: Staff account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Staff'
+ *       400:
+ *         description: Validation error or unknown role
+ *       403:
+ *         description: The role has permissions you don't hold
+ *       409:
+ *         description: Username already taken
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', auth, requirePermission('staff:manage'), [...staffValidators(false), passwordValidator('password')], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { outletId, error } = await staffWriteOutletId(req);
+  if (error) return res.status(400).json({ message: error });
+  const problem = await roleProblem(req, req.body.role);
+  if (problem) return res.status(problem.status).json({ message: problem.message });
+  if (await Admin.exists({ username: req.body.username })) {
+    return res.status(409).json({ message: `Username ${req.body.username} is already taken.` });
+  }
+
+  const account = await Admin.create({
+    outletId,
+    ...Object.fromEntries(Object.entries(req.body).filter(([k]) => EDITABLE.includes(k))),
+    passwordHash: await bcrypt.hash(req.body.password, 10),
+  });
+  res.status(201).json(account);
+});
+
+/**
+ * @swagger
+ * /api/staff/{id}:
+ *   put:
+ *     summary: Update a staff account — rename, change role or outlet, disable or re-enable (requires staff:manage)
+ *     description: |
+ *       Changing username, role, outlet or isActive logs the account out everywhere, so its
+ *       tokens never carry stale permissions. Only org-wide admins may move staff between outlets.
+ *       Admins can't disable themselves or change their own role.
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Staff'
+ *     responses:
+ *       200:
+ *         description: Staff account updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Staff'
+ *       400:
+ *         description: Validation error or unknown role
+ *       403:
+ *         description: Moving staff between outlets without an organisation-wide account, or a role (old or new) with permissions you don't hold
+ *       404:
+ *         description: Staff account not found
+ *       409:
+ *         description: Username already taken
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', auth, requirePermission('staff:manage'), staffValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Staff account not found.' });
+  const account = await Admin.findOne({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!account) return res.status(404).json({ message: 'Staff account not found.' });
+  const problem = await roleProblem(req, account.role) || (req.body.role !== undefined && await roleProblem(req, req.body.role));
+  if (problem) return res.status(problem.status).json({ message: problem.message });
+
+  for (const [k, v] of Object.entries(req.body)) {
+    if (EDITABLE.includes(k)) account[k] = v;
+  }
+  if (req.body.outletId !== undefined) {
+    if (req.admin.outletId) {
+      if (String(req.body.outletId) !== String(req.admin.outletId)) {
+        return res.status(403).json({ message: 'Forbidden. Only organisation-wide admins can move staff between outlets.' });
+      }
+    } else {
+      const { outletId, error } = await staffWriteOutletId(req);
+      if (error) return res.status(400).json({ message: error });
+      account.outletId = outletId;
+    }
+  }
+
+  if (isSelf(req, account) && (account.isModified('role') || account.isModified('outletId') || account.isActive === false)) {
+    return res.status(400).json({ message: 'You cannot disable your own account or change your own role or outlet.' });
+  }
+  if (account.isModified('username') && await Admin.exists({ _id: { $ne: account._id }, username: account.username })) {
+    return res.status(409).json({ message: `Username ${account.username} is already taken.` });
+  }
+
+  const loggedOut = SESSION_FIELDS.some((field) => account.isModified(field));
+  await account.save();
+  if (loggedOut) await endAllSessions('admin', account._id);
+  res.json(account);
+});
+
+/**
+ * @swagger
+ * /api/staff/{id}/password:
+ *   post:
+ *     summary: Set a staff member's password (requires staff:manage) — logs them out everywhere
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [newPassword]
+ *             properties:
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: The account's role has permissions you don't hold
+ *       404:
+ *         description: Staff account not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/password', auth, requirePermission('staff:manage'), passwordValidator('newPassword'), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Staff account not found.' });
+  const account = await Admin.findOne({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!account) return res.status(404).json({ message: 'Staff account not found.' });
+  const problem = await roleProblem(req, account.role);
+  if (problem) return res.status(problem.status).json({ message: problem.message });
+
+  account.passwordHash = await bcrypt.hash(req.body.newPassword, 10);
+  await account.save();
+  await endAllSessions('admin', account._id);
+  res.json({ message: 'Password changed. The account has been logged out everywhere.' });
+});
+
+/**
+ * @swagger
+ * /api/staff/{id}:
+ *   delete:
+ *     summary: Delete a staff account (requires staff:manage) — prefer disabling it to keep who-did-what
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Staff account deleted
+ *       400:
+ *         description: Tried to delete your own account
+ *       403:
+ *         description: The account's role has permissions you don't hold
+ *       404:
+ *         description: Staff account not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', auth, requirePermission('staff:manage'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Staff account not found.' });
+  if (String(req.params.id) === String(req.admin.id)) {
+    return res.status(400).json({ message: 'You cannot delete your own account.' });
+  }
+
+  const account = await Admin.findOne({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!account) return res.status(404).json({ message: 'Staff account not found.' });
+  const problem = await roleProblem(req, account.role);
+  if (problem) return res.status(problem.status).json({ message: problem.message });
+
+  await account.deleteOne();
+  await endAllSessions('admin', account._id);
+  res.json({ message: 'Staff account deleted.' });
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TaxRule = require('../models/TaxRule');
+const { auth, requirePermission } = require('../middleware/auth');
+const { staffOutletFilter, staffWriteOutletId } = require('../middleware/outlet');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Taxes
+ *   description: Tax rules applied to orders at checkout (taxes:write permission)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRule:
+ *       type: object
+ *       description: |
+ *         A line is taxed by the rules naming its menu item if any, else by those naming its
+ *         category, else by the unrestricted rules. Several rules can apply at once (e.g. CGST + SGST).
+ *       properties:
+ *         _id:
+ *           type: string
+ *         outletId:
+ *           type: string
+ *           nullable: true
+ *           description: Outlet the rule applies at (null = every outlet)
+ *         name:
+ *           type: string
+ *           example: CGST
+ *         rate:
+ *           type: number
+ *           example: 2.5
+ *         inclusive:
+ *           type: boolean
+ *           description: Menu prices already include this tax
+ *         menuItemIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+const taxRuleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    field('rate').isFloat({ min: 0, max: 100 }).withMessage('rate must be a percentage between 0 and 100'),
+    body('inclusive').optional().isBoolean().withMessage('inclusive must be a boolean'),
+    body('menuItemIds').optional().isArray().withMessage('menuItemIds must be an array'),
+    body('menuItemIds.*').isMongoId().withMessage('menuItemIds entries must be valid IDs'),
+    body('categories').optional().isArray().withMessage('categories must be an array'),
+    body('categories.*').isString().trim().notEmpty().withMessage('categories entries must be non-empty strings'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ];
+};
+
+const EDITABLE = ['name', 'rate', 'inclusive', 'menuItemIds', 'categories', 'isActive'];
+
+/**
+ * @swagger
+ * /api/taxes:
+ *   get:
+ *     summary: List tax rules (requires taxes:write)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tax rules — outlet admins see their outlet's rules and the organisation-wide ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaxRule'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', auth, requirePermission('taxes:write'), async (req, res) => {
+  const { outletId } = staffOutletFilter(req);
+  const filter = outletId ? { outletId: { $in: [outletId, null] } } : {};
+  const rules = await TaxRule.find(filter).sort({ name: 1 });
+  res.json(rules);
+});
+
+/**
+ * @swagger
+ * /api/taxes:
+ *   post:
+ *     summary: Create a tax rule (requires taxes:write) — applies to orders placed from now on
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       201:
+ *         description: Tax rule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxRule'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', auth, requirePermission('taxes:write'), taxRuleValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { outletId, error } = await staffWriteOutletId(req);
+  if (error) return res.status(400).json({ message: error });
+
+  const rule = await TaxRule.create({
+    outletId,
+    ...Object.fromEntries(Object.entries(req.body).filter(([k]) => EDITABLE.includes(k))),
+  });
+  res.status(201).json(rule);
+});
+
+/**
+ * @swagger
+ * /api/taxes/{id}:
+ *   put:
+ *     summary: Update a tax rule (requires taxes:write) — orders already placed keep their tax lines
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       200:
+ *         description: Tax rule updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxRule'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Tax rule not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', auth, requirePermission('taxes:write'), taxRuleValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const rule = await TaxRule.findOne({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!rule) return res.status(404).json({ message: 'Tax rule not found.' });
+
+  for (const [k, v] of Object.entries(req.body)) {
+    if (EDITABLE.includes(k)) rule[k] = v;
+  }
+
+  await rule.save();
+  res.json(rule);
+});
+
+/**
+ * @swagger
+ * /api/taxes/{id}:
+ *   delete:
+ *     summary: Delete a tax rule (requires taxes:write) — orders already placed keep their tax lines
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rule deleted
+ *       404:
+ *         description: Tax rule not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', auth, requirePermission('taxes:write'), async (req, res) => {
+  const rule = await TaxRule.findOneAndDelete({ _id: req.params.id, ...staffOutletFilter(req) });
+  if (!rule) return res.status(404).json({ message: 'Tax rule not found.' });
+  res.json({ message: 'Tax rule deleted.' });
+});
+
+module.exports = router;
@@ -1,10 +1,13 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Cart = require('../models/Cart');
 const { userAuth } = require('../middleware/auth');
+const {
+  SessionError, refreshTokenValidators, clientInfo, startSession, refreshSession, endSession, endAllSessions,
+} = require('../sessions');
+const { OtpError, otpValidator, otpErrorResponse, requestOtp, verifyOtp } = require('../otp');
 
 const router = express.Router();
 
@@ -28,11 +31,95 @@ const router = express.Router();
  *           type: string
  *         phone:
  *           type: string
+ *         phoneVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the customer last proved the number with an OTP (null for older accounts until they do)
  *         createdAt:
  *           type: string
  *           format: date-time
  */
 
+const phoneValidator = body('phone')
+  .trim()
+  .notEmpty().withMessage('Phone number is required')
+  .matches(/^\d{10}$/).withMessage('Phone must be a 10-digit number');
+
+/**
+ * @swagger
+ * /api/users/otp:
+ *   post:
+ *     summary: Text a one-time code to a phone number — for registration or passwordless login
+ *     description: |
+ *       Codes are 6 digits, single-use and (by default) valid for 5 minutes; 5 wrong guesses burn a code.
+ *       By default a phone can get one code every 30 seconds and 5 per hour for each purpose.
+ *       For `login`, the response is the same whether or not the number has an account.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone, purpose]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "9876543210"
+ *               purpose:
+ *                 type: string
+ *                 enum: [register, login]
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 resendAfter:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Validation error, or (register) phone already registered
+ *       429:
+ *         description: Asked too soon or too often — see the Retry-After header (seconds)
+ */
+router.post(
+  '/otp',
+  [
+    phoneValidator,
+    body('purpose').isIn(['register', 'login']).withMessage('purpose must be register or login'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { phone, purpose } = req.body;
+    const registered = await User.exists({ phone });
+    if (purpose === 'register' && registered) {
+      return res.status(400).json({ message: 'This phone number is already registered.' });
+    }
+
+    let sent;
+    try {
+      // A login code for a number without an account goes through the same motions but isn't texted,
+      // so the answer doesn't tell who has an account
+      sent = await requestOtp(phone, purpose, { deliver: purpose !== 'login' || Boolean(registered) });
+    } catch (err) {
+      if (err instanceof OtpError) return otpErrorResponse(res, err);
+      throw err;
+    }
+    res.json({ message: 'Code sent.', ...sent });
+  }
+);
+
 /**
  * @swagger
  * /api/users/register:
@@ -45,7 +132,7 @@ const router = express.Router();
  *         application/json:
  *           schema:
  *             type: object
- *             required: [name, phone, password]
+ *             required: [name, phone, password, otp]
  *             properties:
  *               name:
  *                 type: string
@@ -57,57 +144,62 @@ const router = express.Router();
  *                 type: string
  *                 minLength: 6
  *                 example: mypassword
+ *               otp:
+ *                 type: string
+ *                 example: "123456"
+ *                 description: Code from POST /api/users/otp with purpose register
  *     responses:
  *       201:
- *         description: Account created, returns token
+ *         description: Account created, returns tokens
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
- *                 user:
- *                   $ref: '#/components/schemas/User'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SessionTokens'
+ *                 - type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
  *       400:
- *         description: Validation error or phone already registered
+ *         description: Validation error, phone already registered, or wrong/expired OTP
  */
 router.post(
   '/register',
   [
     body('name').trim().notEmpty().withMessage('Name is required'),
-    body('phone')
-      .trim()
-      .notEmpty().withMessage('Phone number is required')
-      .matches(/^\d{10}$/).withMessage('Phone must be a 10-digit number'),
+    phoneValidator,
     body('password')
       .isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    otpValidator,
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { name, phone, password } = req.body;
+    const { name, phone, password, otp } = req.body;
 
     const existing = await User.findOne({ phone });
     if (existing) {
       return res.status(400).json({ message: 'This phone number is already registered.' });
     }
 
+    try {
+      await verifyOtp(phone, 'register', otp);
+    } catch (err) {
+      if (err instanceof OtpError) return otpErrorResponse(res, err);
+      throw err;
+    }
+
     const passwordHash = await bcrypt.hash(password, 10);
-    const user = await User.create({ name, phone, passwordHash });
+    const user = await User.create({ name, phone, passwordHash, phoneVerifiedAt: new Date() });
 
     // Create an empty cart for the user
     await Cart.create({ userId: user._id, items: [] });
 
-    const token = jwt.sign(
-      { id: user._id, phone: user.phone, type: 'user' },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const session = await startSession('user', user, clientInfo(req));
 
     res.status(201).json({
-      token,
+      ...session,
       user: { _id: user._id, name: user.name, phone: user.phone, createdAt: user.createdAt },
     });
   }
@@ -135,16 +227,16 @@ router.post(
  *                 example: mypassword
  *     responses:
  *       200:
- *         description: Login successful, returns JWT token
+ *         description: Login successful, returns tokens
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
- *                 user:
- *                   $ref: '#/components/schemas/User'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SessionTokens'
+ *                 - type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
  *       400:
  *         description: Validation error
  *       401:
@@ -168,19 +260,253 @@ router.post(
     const isMatch = await user.comparePassword(password);
     if (!isMatch) return res.status(401).json({ message: 'Invalid credentials.' });
 
-    const token = jwt.sign(
-      { id: user._id, phone: user.phone, type: 'user' },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const session = await startSession('user', user, clientInfo(req));
 
     res.json({
-      token,
+      ...session,
       user: { _id: user._id, name: user.name, phone: user.phone, createdAt: user.createdAt },
     });
   }
 );
 
+/**
+ * @swagger
+ * /api/users/login/otp:
+ *   post:
+ *     summary: Passwordless login with a code from POST /api/users/otp (purpose login)
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone, otp]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "9876543210"
+ *               otp:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Login successful, returns tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SessionTokens'
+ *                 - type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Wrong, expired or used-up code
+ */
+router.post('/login/otp', [phoneValidator, otpValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { phone, otp } = req.body;
+  try {
+    await verifyOtp(phone, 'login', otp);
+  } catch (err) {
+    if (err instanceof OtpError) return res.status(401).json({ message: err.message });
+    throw err;
+  }
+
+  const user = await User.findOne({ phone });
+  if (!user) return res.status(401).json({ message: 'Invalid or expired code. Please request a new one.' });
+  if (!user.phoneVerifiedAt) {
+    user.phoneVerifiedAt = new Date();
+    await user.save();
+  }
+
+  const session = await startSession('user', user, clientInfo(req));
+
+  res.json({
+    ...session,
+    user: { _id: user._id, name: user.name, phone: user.phone, createdAt: user.createdAt },
+  });
+});
+
+/**
+ * @swagger
+ * /api/users/password/forgot:
+ *   post:
+ *     summary: Text a password reset code to a customer's phone
+ *     description: The answer is the same whether or not the number has an account. Codes follow the POST /api/users/otp rules.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "9876543210"
+ *     responses:
+ *       200:
+ *         description: Code sent if the number has an account
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Asked too soon or too often — see the Retry-After header (seconds)
+ */
+router.post('/password/forgot', phoneValidator, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { phone } = req.body;
+  try {
+    await requestOtp(phone, 'reset', { deliver: Boolean(await User.exists({ phone })) });
+  } catch (err) {
+    if (err instanceof OtpError) return otpErrorResponse(res, err);
+    throw err;
+  }
+  res.json({ message: 'If this number has an account, a reset code has been sent.' });
+});
+
+/**
+ * @swagger
+ * /api/users/password/reset:
+ *   post:
+ *     summary: Set a new password with a code from /api/users/password/forgot
+ *     description: Logs the account out everywhere — log in again with the new password.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone, otp, newPassword]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "9876543210"
+ *               otp:
+ *                 type: string
+ *                 example: "123456"
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Validation error, or wrong, expired or used-up code
+ */
+router.post(
+  '/password/reset',
+  [
+    phoneValidator,
+    otpValidator,
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { phone, otp, newPassword } = req.body;
+    try {
+      await verifyOtp(phone, 'reset', otp);
+    } catch (err) {
+      if (err instanceof OtpError) return otpErrorResponse(res, err);
+      throw err;
+    }
+
+    const user = await User.findOne({ phone });
+    if (!user) return res.status(400).json({ message: 'Invalid or expired code. Please request a new one.' });
+
+    user.passwordHash = await bcrypt.hash(newPassword, 10);
+    user.phoneVerifiedAt = new Date();
+    await user.save();
+    await endAllSessions('user', user._id);
+
+    res.json({ message: 'Password changed. Please log in with your new password.' });
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/refresh:
+ *   post:
+ *     summary: Trade a refresh token for a new access token and refresh token
+ *     description: The refresh token is single-use. Presenting one that was already used ends that login everywhere.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SessionTokens'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Refresh token invalid, expired, already used or revoked — log in again
+ */
+router.post('/refresh', refreshTokenValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const { token, refreshToken } = await refreshSession('user', req.body.refreshToken, clientInfo(req));
+    res.json({ token, refreshToken });
+  } catch (err) {
+    if (err instanceof SessionError) return res.status(401).json({ message: err.message });
+    throw err;
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/logout:
+ *   post:
+ *     summary: Log out — end this session, or every session of the account with allDevices
+ *     description: |
+ *       Ending one session revokes its refresh token; its current access token stays usable until it
+ *       expires (minutes). allDevices also revokes every access token already issued to the account.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LogoutRequest'
+ *     responses:
+ *       200:
+ *         description: Logged out (also when the session had already ended)
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: allDevices was asked for with a refresh token that is no longer valid
+ */
+router.post('/logout', refreshTokenValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const allDevices = req.body.allDevices === true || req.body.allDevices === 'true';
+  const ended = await endSession('user', req.body.refreshToken, { allDevices });
+  if (!ended && allDevices) {
+    return res.status(401).json({ message: 'Invalid or expired refresh token. Please log in again.' });
+  }
+  res.json({ message: allDevices ? 'Logged out of all devices.' : 'Logged out.' });
+});
+
 /**
  * @swagger
  * /api/users/me:
@@ -290,6 +616,7 @@ router.put(
  *         description: Unauthorized
  */
 router.delete('/me', userAuth, async (req, res) => {
+  await endAllSessions('user', req.user.id);
   await User.findByIdAndDelete(req.user.id);
   await Cart.findOneAndDelete({ userId: req.user.id });
   res.json({ message: 'Account deleted successfully.' });
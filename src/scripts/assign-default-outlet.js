@@ -0,0 +1,53 @@
+/**
+ * One-off migration for databases created before outlets existed.
+ *
+ * Creates a default outlet when there is none yet (DEFAULT_OUTLET_NAME / DEFAULT_OUTLET_CODE,
+ * defaulting to "Main Canteen" / "main") and assigns every menu item, order, cart, pickup slot
+ * and refund without an outletId to it. Staff accounts are left organisation-wide.
+ *
+ * Usage: npm run migrate:outlets
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Outlet = require('../models/Outlet');
+const MenuItem = require('../models/MenuItem');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const PickupSlot = require('../models/PickupSlot');
+const Refund = require('../models/Refund');
+
+const run = async () => {
+  await connectDB();
+
+  let outlet = await Outlet.findOne().sort({ createdAt: 1 });
+  if (!outlet) {
+    outlet = await Outlet.create({
+      name: process.env.DEFAULT_OUTLET_NAME || 'Main Canteen',
+      code: process.env.DEFAULT_OUTLET_CODE || 'main',
+    });
+    console.log(`Created outlet "${outlet.name}" (${outlet._id})`);
+  } else {
+    console.log(`Using existing outlet "${outlet.name}" (${outlet._id})`);
+  }
+
+  const legacy = { outletId: null };
+  for (const Model of [MenuItem, Order, PickupSlot, Refund]) {
+    const { modifiedCount } = await Model.updateMany(legacy, { $set: { outletId: outlet._id } });
+    console.log(`${Model.modelName}: ${modifiedCount} assigned`);
+  }
+
+  // Only carts with items belong to an outlet; empty ones pick theirs up on the next add
+  const { modifiedCount } = await Cart.updateMany(
+    { ...legacy, 'items.0': { $exists: true } },
+    { $set: { outletId: outlet._id } }
+  );
+  console.log(`Cart: ${modifiedCount} assigned`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
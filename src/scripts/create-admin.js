@@ -0,0 +1,69 @@
+/**
+ * Creates a staff account from the command line — the first organisation-wide admin on a new
+ * database, or a way back in when nobody can log in. Everyone else is managed at /api/staff.
+ *
+ * Usage: npm run create-admin -- --username <name> [--role <role, default admin>] [--outlet <outlet code>] [--phone <10 digits>]
+ * The password is read from ADMIN_PASSWORD, or --password (which ends up in shell history).
+ * Without --outlet the account is organisation-wide.
+ */
+require('dotenv').config();
+const { parseArgs } = require('util');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Admin = require('../models/Admin');
+const Outlet = require('../models/Outlet');
+const Role = require('../models/Role');
+const { ensureDefaultRoles } = require('../permissions');
+
+const run = async () => {
+  const { values } = parseArgs({
+    options: {
+      username: { type: 'string' },
+      password: { type: 'string' },
+      role: { type: 'string', default: 'admin' },
+      outlet: { type: 'string' },
+      phone: { type: 'string' },
+    },
+  });
+  const password = values.password || process.env.ADMIN_PASSWORD;
+
+  if (!values.username) throw new Error('--username is required.');
+  if (!password || password.length < 6) throw new Error('Set a password of at least 6 characters in ADMIN_PASSWORD or --password.');
+  if (values.phone && !/^\d{10}$/.test(values.phone)) throw new Error('--phone must be a 10-digit number.');
+
+  await connectDB();
+  await ensureDefaultRoles();
+
+  const role = values.role.toLowerCase();
+  if (!(await Role.exists({ name: role }))) {
+    const names = (await Role.find().sort({ name: 1 }).select('name')).map((r) => r.name);
+    throw new Error(`Unknown role "${values.role}". Roles: ${names.join(', ')}.`);
+  }
+
+  let outletId = null;
+  if (values.outlet) {
+    const outlet = await Outlet.findOne({ code: values.outlet.toLowerCase() });
+    if (!outlet) throw new Error(`No outlet with code "${values.outlet}".`);
+    outletId = outlet._id;
+  }
+
+  if (await Admin.exists({ username: values.username })) throw new Error(`Username "${values.username}" is taken.`);
+
+  const admin = await Admin.create({
+    username: values.username,
+    passwordHash: await bcrypt.hash(password, 10),
+    role,
+    outletId,
+    phone: values.phone || null,
+  });
+  console.log(`Created ${admin.role} "${admin.username}" (${admin._id})${outletId ? ` at outlet ${values.outlet}` : ', organisation-wide'}`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error(err.message || err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+/**
+ * One-off migration for databases created before categories were managed in the database.
+ *
+ * Creates shared (all-outlet) categories for the five that used to be built in — Main, Snack,
+ * Drink, Beverage, Dessert, in that display order — plus any other name existing menu items
+ * already use, so every item keeps a valid category. Categories that already exist are left alone,
+ * except that any without a kitchen station get the one their name used to map to.
+ *
+ * Usage: npm run migrate:categories
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Category = require('../models/Category');
+const MenuItem = require('../models/MenuItem');
+const { CATEGORY_STATIONS, DEFAULT_STATION } = require('../config/stations');
+
+const BUILT_IN = ['Main', 'Snack', 'Drink', 'Beverage', 'Dessert'];
+
+const run = async () => {
+  await connectDB();
+
+  const inUse = await MenuItem.distinct('category');
+  const names = [...new Set([...BUILT_IN, ...inUse.filter(Boolean)])];
+
+  for (const [i, name] of names.entries()) {
+    if (await Category.exists({ name })) {
+      console.log(`"${name}" already exists`);
+      continue;
+    }
+    await Category.create({ name, displayOrder: (i + 1) * 10, station: CATEGORY_STATIONS[name] || DEFAULT_STATION });
+    console.log(`Created "${name}"`);
+  }
+
+  for (const category of await Category.find({ station: null })) {
+    category.station = CATEGORY_STATIONS[category.name] || DEFAULT_STATION;
+    await category.save();
+    console.log(`"${category.name}" now prepared at the ${category.station} station`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const Admin = require('../models/Admin');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+/**
+ * Login sessions for admins/staff and customers.
+ *
+ * A login hands out a short-lived access token (a JWT, ACCESS_TOKEN_TTL, default 15m) and an
+ * opaque refresh token (REFRESH_TOKEN_TTL_DAYS, default 30) of which only a hash is stored.
+ * Every refresh rotates the refresh token; presenting one that was already rotated means it
+ * leaked, so the whole chain from that login is revoked.
+ *
+ * Access tokens carry the account's tokenVersion as `tv`. Bumping it ("log out all devices")
+ * rejects every access token issued before, without waiting for them to expire.
+ */
+
+class SessionError extends Error {}
+
+const ACCOUNTS = {
+  admin: {
+    Model: Admin,
+    claims: (a) => ({ id: a._id, username: a.username, role: a.role, outletId: a.outletId }),
+  },
+  user: {
+    Model: User,
+    claims: (u) => ({ id: u._id, phone: u.phone, type: 'user' }),
+  },
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const refreshTtlMs = () => (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const signAccessToken = (kind, account) =>
+  jwt.sign(
+    { ...ACCOUNTS[kind].claims(account), tv: account.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
+  );
+
+const createRefreshToken = async (kind, account, { family = crypto.randomUUID(), userAgent = null, ip = null } = {}) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await RefreshToken.create({
+    kind,
+    accountId: account._id,
+    tokenHash: hash(token),
+    family,
+    expiresAt: new Date(Date.now() + refreshTtlMs()),
+    userAgent,
+    ip,
+  });
+  return token;
+};
+
+// Request body of the admin and customer /refresh and /logout routes
+const refreshTokenValidators = [
+  body('refreshToken').isString().notEmpty().withMessage('refreshToken is required'),
+  body('allDevices').optional().isBoolean().withMessage('allDevices must be a boolean'),
+];
+
+// Client details recorded with a refresh token, so sessions can be told apart later
+const clientInfo = (req) => ({ userAgent: req.get('user-agent') || null, ip: req.ip || null });
+
+/**
+ * Starts a session after a successful login or registration.
+ * Returns { token, refreshToken } — `token` is the access token.
+ */
+const startSession = async (kind, account, client = {}) => ({
+  token: signAccessToken(kind, account),
+  refreshToken: await createRefreshToken(kind, account, client),
+});
+
+/**
+ * Trades a refresh token for a new access token and a new refresh token.
+ * Returns { account, token, refreshToken }; throws SessionError if the token can't be used.
+ */
+const refreshSession = async (kind, refreshToken, client = {}) => {
+  const tokenHash = hash(String(refreshToken));
+  const now = new Date();
+  const current = await RefreshToken.findOneAndUpdate(
+    { kind, tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } }
+  );
+
+  if (!current) {
+    const used = await RefreshToken.findOne({ kind, tokenHash, revokedAt: { $ne: null } });
+    if (used) await RefreshToken.updateMany({ family: used.family, revokedAt: null }, { $set: { revokedAt: now } });
+    throw new SessionError('Invalid or expired refresh token. Please log in again.');
+  }
+
+  const account = await ACCOUNTS[kind].Model.findById(current.accountId);
+  if (!account || account.isActive === false) throw new SessionError('This account is disabled or no longer exists.');
+
+  return {
+    account,
+    token: signAccessToken(kind, account),
+    refreshToken: await createRefreshToken(kind, account, { ...client, family: current.family }),
+  };
+};
+
+// Logs an account out everywhere: revokes its refresh tokens and invalidates issued access tokens
+const endAllSessions = async (kind, accountId) => {
+  await ACCOUNTS[kind].Model.updateOne({ _id: accountId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany({ kind, accountId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+/**
+ * Logs out the session a refresh token belongs to — or, with allDevices, every session of its
+ * account. Returns false if the token isn't a live one (so logging out twice is harmless).
+ */
+const endSession = async (kind, refreshToken, { allDevices = false } = {}) => {
+  const now = new Date();
+  const token = await RefreshToken.findOne({ kind, tokenHash: hash(String(refreshToken)), revokedAt: null, expiresAt: { $gt: now } });
+  if (!token) return false;
+  if (allDevices) await endAllSessions(kind, token.accountId);
+  else await RefreshToken.updateMany({ family: token.family, revokedAt: null }, { $set: { revokedAt: now } });
+  return true;
+};
+
+/**
+ * Verifies an access token's signature and expiry, that it hasn't been revoked and that
+ * the account still exists and isn't disabled. Returns the decoded claims, or null.
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+  const { Model } = ACCOUNTS[decoded.type === 'user' ? 'user' : 'admin'];
+  if (!mongoose.isValidObjectId(decoded.id)) return null; // e.g. a pickup code signed with the same secret
+  const account = await Model.findById(decoded.id).select('tokenVersion isActive').lean();
+  if (!account || account.isActive === false || (account.tokenVersion || 0) !== (decoded.tv || 0)) return null;
+  return decoded;
+};
+
+module.exports = {
+  SessionError,
+  refreshTokenValidators,
+  clientInfo,
+  startSession,
+  refreshSession,
+  endSession,
+  endAllSessions,
+  verifyAccessToken,
+};
@@ -1,12 +1,34 @@
 const { Server } = require('socket.io');
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
+const Outlet = require('../models/Outlet');
+const Category = require('../models/Category');
+const { STATIONS, DEFAULT_STATION } = require('../config/stations');
+const { estimateQueue } = require('../queue/estimator');
+const { verifyAccessToken } = require('../sessions');
+const { canAccessOutlet } = require('../middleware/outlet');
+const { staffPermissions } = require('../permissions');
 
 let io = null;
 
-// Max timeTaken across an order's items (kitchen prepares items in parallel)
-const orderPrepTime = (order) => {
-  const times = order.items.map((i) => i.timeTaken || 0).filter((t) => t > 0);
-  return times.length > 0 ? Math.max(...times) : 0;
+// Staff token from the handshake — `auth: { token }`, or an `Authorization: Bearer` header
+const handshakeToken = (socket) => {
+  if (socket.handshake.auth?.token) return socket.handshake.auth.token;
+  const header = socket.handshake.headers.authorization;
+  return header && header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+/**
+ * Why a socket may not join an outlet's staff rooms (kitchen, stations), or null if it may:
+ * it needs a staff token with orders:read for that outlet.
+ */
+const staffRoomProblem = async (socket, outletId) => {
+  const staff = socket.data.staff;
+  if (!staff) return 'A staff token is required to join kitchen and station rooms.';
+  if (!mongoose.isValidObjectId(outletId)) return 'Invalid outletId.';
+  if (!canAccessOutlet({ admin: staff }, outletId)) return "You can't join another outlet's rooms.";
+  if (!(await staffPermissions(staff)).includes('orders:read')) return 'Requires the orders:read permission.';
+  return null;
 };
 
 const initSocket = (httpServer) => {
@@ -17,6 +39,16 @@ const initSocket = (httpServer) => {
     },
   });
 
+  // Anonymous sockets are fine (customers following an order); a token that doesn't check out is refused
+  io.use(async (socket, next) => {
+    const token = handshakeToken(socket);
+    if (!token) return next();
+    const decoded = await verifyAccessToken(token);
+    if (!decoded) return next(new Error('Invalid or expired token.'));
+    if (decoded.type !== 'user') socket.data.staff = decoded;
+    next();
+  });
+
   io.on('connection', (socket) => {
     console.log(`Socket connected: ${socket.id}`);
 
@@ -28,10 +60,33 @@ const initSocket = (httpServer) => {
       }
     });
 
-    // Admin/kitchen panel joins the staff room to get all order updates
-    socket.on('join:kitchen', () => {
-      socket.join('kitchen');
-      console.log(`Socket ${socket.id} joined kitchen room`);
+    // Customers browsing an outlet get its public queue:update broadcasts
+    socket.on('join:outlet', ({ outletId } = {}) => {
+      if (mongoose.isValidObjectId(outletId)) {
+        socket.join(`outlet:${outletId}`);
+        console.log(`Socket ${socket.id} joined outlet:${outletId}`);
+      }
+    });
+
+    // Admin/kitchen panel joins its outlet's staff room to get all order updates.
+    // Staff only; the optional ack gets { ok } or { ok: false, message }
+    socket.on('join:kitchen', async ({ outletId } = {}, ack) => {
+      const problem = await staffRoomProblem(socket, outletId);
+      if (!problem) {
+        socket.join(`kitchen:${outletId}`);
+        console.log(`Socket ${socket.id} joined kitchen:${outletId}`);
+      }
+      if (typeof ack === 'function') ack(problem ? { ok: false, message: problem } : { ok: true });
+    });
+
+    // Station screens (e.g. drinks counter) only get their own outlet's tickets
+    socket.on('join:station', async ({ outletId, station } = {}, ack) => {
+      const problem = station ? await staffRoomProblem(socket, outletId) : 'station is required.';
+      if (!problem) {
+        socket.join(`station:${outletId}:${station}`);
+        console.log(`Socket ${socket.id} joined station:${outletId}:${station}`);
+      }
+      if (typeof ack === 'function') ack(problem ? { ok: false, message: problem } : { ok: true });
     });
 
     socket.on('disconnect', () => {
@@ -43,38 +98,37 @@ const initSocket = (httpServer) => {
 };
 
 /**
- * Broadcasts queue:update to all connected clients, now including estimatedWaitMinutes.
- *
- * estimatedWaitMinutes formula (same as getQueuePosition in Order model):
- *   - Each order's prep time = max(timeTaken) across its items
- *   - Estimated wait = sum of prep times for all orders at or before this position
- *   - Orders are already sorted oldest-first, so this is a running cumulative sum
+ * Broadcasts an outlet's queue:update to its room, including estimatedWaitMinutes and
+ * estimatedReadyAt from the shared estimator (same numbers as Order#getQueuePosition).
+ * Without an outletId, every outlet's queue is refreshed.
  */
-const emitQueueUpdate = async () => {
+const emitQueueUpdate = async (outletId) => {
   if (!io) return;
 
-  const activeOrders = await Order.find({
-    status: { $in: ['pending', 'preparing'] },
-  }).sort({ createdAt: 1 });
+  if (!outletId) {
+    const outletIds = await Outlet.distinct('_id');
+    await Promise.all(outletIds.map((id) => emitQueueUpdate(id)));
+    return;
+  }
 
-  // Build cumulative estimated wait times in one pass (O(n))
-  let cumulativeMinutes = 0;
+  const activeOrders = await Order.findActiveQueue(outletId);
+  const estimates = estimateQueue(activeOrders, await Order.estimatorOptions(outletId));
 
-  const queueData = activeOrders.map((order, index) => {
-    const prepTime = orderPrepTime(order);
-    cumulativeMinutes += prepTime;
+  const queueData = activeOrders.map((order) => {
+    const estimate = estimates.get(order._id.toString());
 
     return {
       orderId: order._id.toString(),
       status: order.status,
       customerName: order.customerName,
-      queuePosition: index + 1,
-      estimatedWaitMinutes: cumulativeMinutes,
+      queuePosition: estimate.queuePosition,
+      estimatedWaitMinutes: estimate.estimatedMinutes,
+      estimatedReadyAt: estimate.estimatedReadyAt,
     };
   });
 
-  // Broadcast full queue to all clients (mobile app can find their entry by orderId)
-  io.emit('queue:update', queueData);
+  // Broadcast full queue to the outlet's clients (mobile app can find their entry by orderId)
+  io.to(`outlet:${outletId}`).emit('queue:update', queueData);
 
   // Push order-specific position + wait time to each order's private room
   for (const entry of queueData) {
@@ -83,21 +137,105 @@ const emitQueueUpdate = async () => {
       status: entry.status,
       queuePosition: entry.queuePosition,
       estimatedWaitMinutes: entry.estimatedWaitMinutes,
+      estimatedReadyAt: entry.estimatedReadyAt,
     });
   }
 
-  // Full queue list for kitchen board
-  io.to('kitchen').emit('kitchen:queue', queueData);
+  // Full queue list for the outlet's kitchen board
+  io.to(`kitchen:${outletId}`).emit('kitchen:queue', queueData);
+
+  // Station-scoped queues: only that station's ticket and items, in the same queue order.
+  // Every known station gets a payload so boards clear when their last ticket is done.
+  const categoryStations = await Category.distinct('station', { outletId: { $in: [outletId, null] } });
+  const stationQueues = Object.fromEntries([...STATIONS, ...categoryStations.filter(Boolean)].map((s) => [s, []]));
+
+  activeOrders.forEach((order, index) => {
+    for (const ticket of order.tickets) {
+      if (ticket.status === 'ready') continue;
+      if (!stationQueues[ticket.station]) stationQueues[ticket.station] = [];
+      stationQueues[ticket.station].push({
+        orderId: order._id.toString(),
+        customerName: order.customerName,
+        queuePosition: index + 1,
+        orderStatus: order.status,
+        ticketStatus: ticket.status,
+        items: order.items
+          .filter((i) => (i.station || DEFAULT_STATION) === ticket.station)
+          .map((i) => ({
+            name: i.name,
+            quantity: i.quantity,
+            modifiers: i.modifiers.map((m) => `${m.group}: ${m.option}`),
+          })),
+      });
+    }
+  });
+
+  for (const [station, entries] of Object.entries(stationQueues)) {
+    io.to(`station:${outletId}:${station}`).emit('kitchen:queue', entries);
+  }
+};
+
+/**
+ * Emits order:status to the order's room on every status change, with the customer-facing
+ * timeline so the app can render "accepted 12:01, cooking 12:04, ready 12:15".
+ */
+const emitOrderStatus = (order) => {
+  if (!io) return;
+  io.to(`order:${order._id}`).emit('order:status', {
+    orderId: order._id.toString(),
+    status: order.status,
+    timeline: order.getTimeline(),
+  });
 };
 
 /**
  * Emits order:ready to the specific order's room.
  * Mobile app shows a "Your order is ready! Come pick it up." notification.
  */
-const emitOrderReady = (orderId) => {
+const emitOrderReady = (order) => {
+  if (!io) return;
+  io.to(`order:${order._id}`).emit('order:ready', {
+    orderId: order._id.toString(),
+    timeline: order.getTimeline(),
+  });
+  emitQueueUpdate(order.outletId); // triggers a fresh queue:update with updated positions
+};
+
+/**
+ * Emits order:cancelled to the kitchen board and every station holding one of its tickets,
+ * so the ticket disappears immediately, then refreshes the queue.
+ */
+const emitOrderCancelled = (order, reason = null) => {
   if (!io) return;
-  io.to(`order:${orderId}`).emit('order:ready', { orderId });
-  emitQueueUpdate(); // triggers a fresh queue:update with updated positions
+  const payload = { orderId: order._id.toString(), customerName: order.customerName, reason };
+  const rooms = [
+    `kitchen:${order.outletId}`,
+    ...order.tickets.map((t) => `station:${order.outletId}:${t.station}`),
+  ];
+  io.to(rooms).emit('order:cancelled', payload);
+  emitQueueUpdate(order.outletId);
 };
 
-module.exports = { initSocket, emitQueueUpdate, emitOrderReady };
+/**
+ * Emits stock:low to the item's outlet kitchen room when a tracked item is at or below its
+ * low-stock threshold (stock 0 = sold out and hidden from the menu).
+ */
+const emitLowStock = (item, threshold) => {
+  if (!io) return;
+  io.to(`kitchen:${item.outletId}`).emit('stock:low', {
+    menuItemId: item._id.toString(),
+    name: item.name,
+    stock: item.stock,
+    threshold,
+    soldOut: item.stock === 0,
+  });
+};
+
+module.exports = {
+  initSocket,
+  emitQueueUpdate,
+  emitOrderStatus,
+  emitOrderReady,
+  emitOrderCancelled,
+  emitLowStock,
+};
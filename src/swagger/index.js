@@ -9,9 +9,19 @@ const options = {
       description:
         'REST API for the Qless canteen food ordering system.\n\n' +
         '**Two token types:**\n' +
-        '- `bearerAuth` → Admin/Kitchen JWT (from `POST /api/auth/login`)\n' +
+        '- `bearerAuth` → Staff JWT (from `POST /api/auth/login`)\n' +
         '- `userAuth` → Customer JWT (from `POST /api/users/register` or `POST /api/users/login`)\n\n' +
-        'Real-time queue updates are pushed via Socket.io (connect to `ws://localhost:8080`).',
+        '**Sessions:** logins return a short-lived access `token` and a single-use `refreshToken`. Trade the ' +
+        'refresh token at `/api/auth/refresh` or `/api/users/refresh` for a new pair; end sessions with `/logout`.\n\n' +
+        '**Permissions:** what a staff token may do comes from its role (see `/api/roles`); staff routes name the ' +
+        'permission they need, e.g. `menu:write` or `orders:cancel`, and answer 403 without it.\n\n' +
+        '**Outlets:** menu, queue, carts, pickup slots and staff belong to one outlet. Customer routes take ' +
+        '`?outletId` (or `X-Outlet-Id`), optional while only one outlet is active; staff are scoped by their account.\n\n' +
+        '**Pagination:** listing routes return `{ data, nextCursor, hasMore, limit }`. Pass `nextCursor` back as ' +
+        '`?cursor` (with the same `sort`) for the next page; it is null on the last page.\n\n' +
+        'Real-time queue updates are pushed via Socket.io (connect to `ws://localhost:8080`). ' +
+        'Join rooms with `join:outlet` / `join:kitchen` `{ outletId }` or `join:station` `{ outletId, station }`. ' +
+        'Kitchen and station rooms need a staff token for that outlet in the handshake (`auth: { token }`).',
       contact: {
         name: 'Qless Admin',
       },
@@ -37,13 +47,48 @@ const options = {
           description: 'Customer JWT — obtained from POST /api/users/login or /api/users/register',
         },
       },
+      parameters: {
+        PageLimit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 100 },
+          description: 'Page size (default depends on the route, max 100)',
+        },
+        PageCursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'string' },
+          description: 'nextCursor from the previous page',
+        },
+      },
+      schemas: {
+        Page: {
+          type: 'object',
+          description: 'Envelope of every paginated listing; `data` holds the page of results',
+          properties: {
+            data: { type: 'array', items: {} },
+            nextCursor: { type: 'string', nullable: true, description: 'Pass as ?cursor for the next page; null on the last page' },
+            hasMore: { type: 'boolean' },
+            limit: { type: 'integer' },
+          },
+        },
+      },
     },
     tags: [
-      { name: 'Auth', description: 'Admin / kitchen staff authentication' },
+      { name: 'Auth', description: 'Staff authentication' },
+      { name: 'Staff', description: 'Staff accounts (staff:manage permission; create the first admin with `npm run create-admin`)' },
+      { name: 'Roles', description: 'Named permission sets given to staff accounts (staff:manage permission)' },
       { name: 'Users', description: 'Customer account management and authentication' },
+      { name: 'Outlets', description: 'Canteens/outlets with their own menu, queue and staff' },
       { name: 'Menu', description: 'Menu item management' },
+      { name: 'Categories', description: 'Menu categories with display order (public read; writes need menu:write)' },
       { name: 'Cart', description: 'Shopping cart (requires customer token)' },
       { name: 'Orders', description: 'Order placement and management' },
+      { name: 'Slots', description: 'Pickup time slots for scheduled pre-orders' },
+      { name: 'Payments', description: 'Payment intents, verification and provider callbacks' },
+      { name: 'Coupons', description: 'Promo codes for checkout (coupons:write permission)' },
+      { name: 'Taxes', description: 'Tax rules applied at checkout (taxes:write permission)' },
+      { name: 'Analytics', description: 'Sales and kitchen reports (reports:read permission)' },
     ],
   },
   apis: ['./src/routes/*.js'],